@@ -1,26 +1,51 @@
 /**
  * PartyKit Matchmaking Room
  * Handles user matching, pair management, and message routing
- * 
+ *
  * This runs on PartyKit edge servers, not on your Express server
  */
 
-// State is kept in memory per room instance
-// PartyKit handles the persistence automatically
+import {
+    selectCandidates,
+    summarizeQueue,
+    sharedInterests,
+    getDueRelaxations,
+    getRelaxedFilters,
+    DEFAULT_RELAX_CONFIG,
+    DEFAULT_COOLDOWN_CONFIG
+} from '../server/matchRules.js';
+
+const QUEUE_CHECK_INTERVAL_MS = 10 * 1000;
+
+// State is kept in memory only (not in this.room.storage). The Express
+// server's connection keeps the room running, but the queue and active pairs
+// are lost whenever the room restarts (e.g. a PartyKit deploy) - users then
+// have to search again.
 
 export default class MatchmakingRoom {
     constructor(room) {
         this.room = room;
 
         // Queue of users waiting for a match
-        // Array of { userId, chatId, connection }
+        // Array of { userId, chatId, joinedAt, ...filters and match profile }
         this.waitingQueue = [];
 
-        // Map of active pairs: userId -> { partnerId, partnerChatId }
+        // Map of active pairs: userId -> { partnerId, partnerChatId, startedAt }
         this.activePairs = new Map();
 
-        // Map of connections: oderId -> { connection, chatId }
-        this.connections = new Map();
+        // Map of user chatIds: userId -> chatId
+        this.userChatIds = new Map();
+
+        // Recent partners: userId -> Map(partnerId -> time the chat ended)
+        this.recentPartners = new Map();
+
+        // Timer that offers filter relaxation to long-waiting users
+        this.queueCheckTimer = null;
+
+        // Cooldown and relaxation settings - the server's (see getMatchConfig)
+        // replace these with every join
+        this.cooldownConfig = DEFAULT_COOLDOWN_CONFIG;
+        this.relaxConfig = DEFAULT_RELAX_CONFIG;
     }
 
     /**
@@ -28,6 +53,10 @@ export default class MatchmakingRoom {
      */
     onConnect(connection, ctx) {
         console.log('New connection established');
+
+        if (!this.queueCheckTimer) {
+            this.queueCheckTimer = setInterval(() => this.checkWaitingUsers(), QUEUE_CHECK_INTERVAL_MS);
+        }
     }
 
     /**
@@ -60,6 +89,30 @@ export default class MatchmakingRoom {
                 case 'message':
                     this.handleMessage(data, sender);
                     break;
+                case 'typing':
+                    this.handleTyping(data, sender);
+                    break;
+                case 'reconnect':
+                    this.reply(sender, data, this.reconnectPair(data));
+                    break;
+                case 'relax':
+                    this.reply(sender, data, { success: this.widenSearch(data.userId, data.step, sender) });
+                    break;
+                case 'update_profile':
+                    this.reply(sender, data, { success: this.updateProfile(data.userId, data.profile) });
+                    break;
+                case 'get_partner':
+                    this.reply(sender, data, this.activePairs.get(data.userId) || null);
+                    break;
+                case 'is_in_queue':
+                    this.reply(sender, data, this.waitingQueue.some(u => u.userId === data.userId));
+                    break;
+                case 'status':
+                    this.reply(sender, data, this.getStatus());
+                    break;
+                case 'queue_summary':
+                    this.reply(sender, data, summarizeQueue(this.waitingQueue));
+                    break;
                 default:
                     console.log('Unknown message type:', data.type);
             }
@@ -68,11 +121,113 @@ export default class MatchmakingRoom {
         }
     }
 
+    /**
+     * Answer a request sent with partyClient.request()
+     */
+    reply(sender, data, result) {
+        sender.send(JSON.stringify({
+            type: 'response',
+            requestId: data.requestId,
+            result
+        }));
+    }
+
+    /**
+     * Get the server connection that queued a user,
+     * or any live connection if that one is gone
+     */
+    connectionFor(entry) {
+        return this.room.getConnection(entry.connectionId)
+            || [...this.room.getConnections()][0]
+            || null;
+    }
+
+    /**
+     * Remove a user from the waiting queue if present
+     */
+    removeFromQueue(userId) {
+        const queueIndex = this.waitingQueue.findIndex(u => u.userId === userId);
+        if (queueIndex !== -1) {
+            this.waitingQueue.splice(queueIndex, 1);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Break up a pair and tell the partner they were left (and why, if known)
+     */
+    breakPair(userId, sender, reason = null) {
+        const pair = this.activePairs.get(userId);
+        if (!pair) return null;
+
+        const { partnerId, partnerChatId } = pair;
+
+        // Remove both from pairs
+        this.activePairs.delete(userId);
+        this.activePairs.delete(partnerId);
+
+        this.recordRecentPartners(userId, partnerId);
+
+        // Notify partner (partnerId here is the user who left)
+        sender.send(JSON.stringify({
+            type: 'partner_left',
+            userId: partnerId,
+            chatId: partnerChatId,
+            partnerId: userId,
+            reason
+        }));
+
+        return pair;
+    }
+
+    /**
+     * Remember that two users just finished a chat (both directions)
+     */
+    recordRecentPartners(userId, partnerId) {
+        const { historySize, cooldownMs } = this.cooldownConfig;
+        const now = Date.now();
+
+        for (const [ownerId, otherId] of [[userId, partnerId], [partnerId, userId]]) {
+            const history = this.recentPartners.get(ownerId) || new Map();
+            history.delete(String(otherId));
+            history.set(String(otherId), now);
+
+            // Maps keep insertion order, so the oldest partner comes first
+            while (history.size > historySize) {
+                history.delete(history.keys().next().value);
+            }
+            this.recentPartners.set(ownerId, history);
+        }
+
+        // Drop histories whose newest entry is past the cooldown
+        for (const [ownerId, history] of this.recentPartners.entries()) {
+            if (now - Math.max(...history.values()) >= cooldownMs) {
+                this.recentPartners.delete(ownerId);
+            }
+        }
+    }
+
+    /**
+     * Use the cooldown and relaxation settings sent by the server, if any
+     * @param {{ cooldown: object, relax: object }} [config] - See getMatchConfig
+     */
+    applyConfig(config) {
+        if (!config) return;
+        this.cooldownConfig = { ...DEFAULT_COOLDOWN_CONFIG, ...config.cooldown };
+        this.relaxConfig = { ...DEFAULT_RELAX_CONFIG, ...config.relax };
+    }
+
     /**
      * Handle user joining the matchmaking queue
      */
     handleJoin(data, sender) {
-        const { userId, chatId } = data;
+        const { type, requestId, config, ...options } = data;
+        const { userId, chatId, gender, preference } = options;
+
+        this.applyConfig(config);
+
+        this.userChatIds.set(userId, chatId);
 
         // Check if user is already in an active chat
         if (this.activePairs.has(userId)) {
@@ -95,96 +250,155 @@ export default class MatchmakingRoom {
             return;
         }
 
-        // Store connection info
-        this.connections.set(userId, { connection: sender, chatId });
+        const userData = { ...options, joinedAt: Date.now(), connectionId: sender.id, relaxOffered: [] };
 
-        // Try to match with someone in queue
-        if (this.waitingQueue.length > 0) {
-            // Find first user that isn't the same person (prevent self-pairing)
-            const matchIndex = this.waitingQueue.findIndex(u => u.userId !== userId);
+        // Try to match with someone in queue (same rules as the local backend)
+        if (this.tryMatch(userData, sender)) {
+            return;
+        }
 
-            if (matchIndex !== -1) {
-                const partner = this.waitingQueue.splice(matchIndex, 1)[0];
+        // No match found, add to queue
+        this.waitingQueue.push(userData);
 
-                // Create the pair
-                this.activePairs.set(userId, {
-                    partnerId: partner.userId,
-                    partnerChatId: partner.chatId
-                });
-                this.activePairs.set(partner.userId, {
-                    partnerId: userId,
-                    partnerChatId: chatId
-                });
+        sender.send(JSON.stringify({
+            type: 'waiting',
+            userId,
+            chatId,
+            gender,
+            preference
+        }));
 
-                // Notify both users
-                sender.send(JSON.stringify({
-                    type: 'matched',
-                    userId,
-                    chatId,
-                    partnerId: partner.userId,
-                    partnerChatId: partner.chatId
-                }));
+        console.log(`User ${userId} added to queue. Queue size: ${this.waitingQueue.length}`);
+    }
 
-                // Also send matched notification for partner
-                sender.send(JSON.stringify({
-                    type: 'matched',
-                    userId: partner.userId,
-                    chatId: partner.chatId,
-                    partnerId: userId,
-                    partnerChatId: chatId
-                }));
+    /**
+     * Pair a user with the best compatible waiting user, if any
+     * @returns {boolean} true if a pair was created
+     */
+    tryMatch(userData, sender) {
+        const { userId, chatId } = userData;
+        const recent = Object.fromEntries(this.recentPartners.get(userId) || []);
+        const [partner] = selectCandidates(this.waitingQueue, userData, recent, Date.now(), this.cooldownConfig);
+        if (!partner) return false;
+
+        this.removeFromQueue(partner.userId);
+        this.removeFromQueue(userId);
+
+        // Create the pair
+        const startedAt = Date.now();
+        this.activePairs.set(userId, {
+            partnerId: partner.userId,
+            partnerChatId: partner.chatId,
+            startedAt
+        });
+        this.activePairs.set(partner.userId, {
+            partnerId: userId,
+            partnerChatId: chatId,
+            startedAt
+        });
+
+        // One event notifies both users
+        sender.send(JSON.stringify({
+            type: 'matched',
+            userId,
+            chatId,
+            partnerId: partner.userId,
+            partnerChatId: partner.chatId,
+            sharedInterests: sharedInterests(userData, partner)
+        }));
 
-                console.log(`Matched: ${userId} <-> ${partner.userId}`);
-                return;
-            }
-        }
+        console.log(`Matched: ${userId} <-> ${partner.userId}`);
+        return true;
+    }
 
-        // No match found, add to queue
-        this.waitingQueue.push({ userId, chatId, connection: sender });
+    /**
+     * Widen a waiting user's filters and try to match them again
+     * @returns {boolean} false if the user is no longer waiting
+     */
+    widenSearch(userId, step, sender) {
+        const entry = this.waitingQueue.find(u => u.userId === userId);
+        const changes = getRelaxedFilters(step);
+        if (!entry || !changes) return false;
+
+        Object.assign(entry, changes);
 
         sender.send(JSON.stringify({
-            type: 'waiting',
+            type: 'filters_relaxed',
             userId,
-            chatId
+            chatId: entry.chatId,
+            step
         }));
 
-        console.log(`User ${userId} added to queue. Queue size: ${this.waitingQueue.length}`);
+        this.tryMatch(entry, sender);
+        return true;
+    }
+
+    /**
+     * Change a waiting user's match profile without re-queueing them
+     * @returns {boolean} false if the user is not waiting
+     */
+    updateProfile(userId, profile) {
+        const entry = this.waitingQueue.find(u => u.userId === userId);
+        if (!entry) return false;
+
+        Object.assign(entry, profile);
+        return true;
+    }
+
+    /**
+     * Offer (or apply, with auto-widen) the next due filter relaxation
+     * to every user who has been waiting too long, and retry matching users
+     * who may now pair up (cooldown over or grace period reached)
+     */
+    checkWaitingUsers() {
+        const now = Date.now();
+
+        for (const entry of [...this.waitingQueue]) {
+            // Skip users matched earlier in this pass
+            if (!this.waitingQueue.includes(entry)) continue;
+
+            const connection = this.connectionFor(entry);
+            if (!connection) continue;
+
+            if (now - entry.joinedAt >= this.cooldownConfig.graceMs && this.tryMatch(entry, connection)) {
+                continue;
+            }
+
+            const step = getDueRelaxations(entry, now, this.relaxConfig)
+                .find(s => !entry.relaxOffered.includes(s));
+            if (!step) continue;
+
+            entry.relaxOffered.push(step);
+
+            if (entry.autoWiden) {
+                this.widenSearch(entry.userId, step, connection);
+            } else {
+                connection.send(JSON.stringify({
+                    type: 'relax_offer',
+                    userId: entry.userId,
+                    chatId: entry.chatId,
+                    step
+                }));
+            }
+        }
     }
 
     /**
      * Handle user leaving the chat or queue
      */
     handleLeave(data, sender) {
-        const { userId } = data;
+        const { userId, reason } = data;
 
-        // Remove from queue if present
-        const queueIndex = this.waitingQueue.findIndex(u => u.userId === userId);
-        if (queueIndex !== -1) {
-            this.waitingQueue.splice(queueIndex, 1);
+        if (this.removeFromQueue(userId)) {
             console.log(`User ${userId} removed from queue`);
         }
 
-        // Remove from active pairs and notify partner
-        const pair = this.activePairs.get(userId);
+        const pair = this.breakPair(userId, sender, reason);
         if (pair) {
-            const { partnerId, partnerChatId } = pair;
-
-            // Remove both from pairs
-            this.activePairs.delete(userId);
-            this.activePairs.delete(partnerId);
-
-            // Notify partner
-            sender.send(JSON.stringify({
-                type: 'partner_left',
-                userId: partnerId,
-                chatId: partnerChatId
-            }));
-
-            console.log(`Pair broken: ${userId} left, notified ${partnerId}`);
+            console.log(`Pair broken: ${userId} left, notified ${pair.partnerId}`);
         }
 
-        // Remove connection
-        this.connections.delete(userId);
+        this.userChatIds.delete(userId);
     }
 
     /**
@@ -193,58 +407,50 @@ export default class MatchmakingRoom {
     handleNext(data, sender) {
         const { userId, chatId } = data;
 
-        // First, leave current chat
-        const pair = this.activePairs.get(userId);
-        if (pair) {
-            const { partnerId, partnerChatId } = pair;
+        // Before breakPair, so the skipped partner gets the server's cooldown
+        this.applyConfig(data.config);
 
-            // Remove both from pairs
-            this.activePairs.delete(userId);
-            this.activePairs.delete(partnerId);
+        const pair = this.breakPair(userId, sender);
+        if (pair) {
+            console.log(`User ${userId} skipped ${pair.partnerId}`);
 
-            // Notify partner they were skipped
+            // Send skipped notification only when there was a partner
             sender.send(JSON.stringify({
-                type: 'partner_left',
-                userId: partnerId,
-                chatId: partnerChatId
+                type: 'skipped',
+                userId,
+                chatId
             }));
 
-            console.log(`User ${userId} skipped ${partnerId}`);
-        }
-
-        // Remove from queue if they were waiting
-        const queueIndex = this.waitingQueue.findIndex(u => u.userId === userId);
-        if (queueIndex !== -1) {
-            this.waitingQueue.splice(queueIndex, 1);
+            // Now rejoin the queue with same preferences
+            this.handleJoin({ ...data, type: 'join' }, sender);
+            return;
         }
 
-        // Send skipped notification
+        // Not in a chat - cancel any search and go back to menu
+        this.removeFromQueue(userId);
         sender.send(JSON.stringify({
-            type: 'skipped',
+            type: 'not_in_chat',
             userId,
             chatId
         }));
-
-        // Now rejoin the queue
-        this.handleJoin({ userId, chatId }, sender);
     }
 
     /**
-     * Handle forwarding message to partner
+     * Handle forwarding message/media to partner
      */
     handleMessage(data, sender) {
-        const { userId, text } = data;
+        const { type, requestId, userId, ...messageData } = data;
 
         // Find partner
         const pair = this.activePairs.get(userId);
         if (!pair) {
             // User not in a chat
-            const conn = this.connections.get(userId);
-            if (conn) {
+            const chatId = this.userChatIds.get(userId);
+            if (chatId) {
                 sender.send(JSON.stringify({
                     type: 'not_in_chat',
                     userId,
-                    chatId: conn.chatId
+                    chatId
                 }));
             }
             return;
@@ -252,16 +458,57 @@ export default class MatchmakingRoom {
 
         const { partnerId, partnerChatId } = pair;
 
-        // Forward message to partner via the Express server
+        // Forward message/media to partner via the Express server
         sender.send(JSON.stringify({
             type: 'forward_message',
             userId: partnerId,
             chatId: partnerChatId,
-            text,
+            ...messageData,
             fromUserId: userId
         }));
 
-        console.log(`Message from ${userId} forwarded to ${partnerId}`);
+        console.log(`Message (${messageData.mediaType || 'text'}) from ${userId} forwarded to ${partnerId}`);
+    }
+
+    /**
+     * Handle typing indicator
+     */
+    handleTyping(data, sender) {
+        const pair = this.activePairs.get(data.userId);
+        if (!pair) return;
+
+        sender.send(JSON.stringify({
+            type: 'typing',
+            userId: pair.partnerId,
+            chatId: pair.partnerChatId,
+            fromUserId: data.userId
+        }));
+    }
+
+    /**
+     * Reconnect two users who were previously paired
+     */
+    reconnectPair(data) {
+        const { userId, partnerId, chatId, partnerChatId } = data;
+
+        // Check if partner is available
+        if (this.activePairs.has(partnerId)) {
+            return { success: false, reason: 'partner_busy' };
+        }
+
+        this.removeFromQueue(userId);
+        this.removeFromQueue(partnerId);
+
+        this.userChatIds.set(userId, chatId);
+        this.userChatIds.set(partnerId, partnerChatId);
+
+        const startedAt = Date.now();
+        this.activePairs.set(userId, { partnerId, partnerChatId, startedAt });
+        this.activePairs.set(partnerId, { partnerId: userId, partnerChatId: chatId, startedAt });
+
+        console.log(`Reconnected: ${userId} <-> ${partnerId}`);
+
+        return { success: true };
     }
 
     /**
@@ -271,7 +518,7 @@ export default class MatchmakingRoom {
         return {
             queueSize: this.waitingQueue.length,
             activePairs: this.activePairs.size / 2, // Divide by 2 since we store both directions
-            connections: this.connections.size
+            users: this.userChatIds.size
         };
     }
 }
@@ -4,6 +4,7 @@
  */
 
 import 'dotenv/config';
+import { createHash } from 'crypto';
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
@@ -19,6 +20,9 @@ if (!WEBHOOK_URL) {
     process.exit(1);
 }
 
+// Must match WEBHOOK_SECRET in server/telegram.js
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || createHash('sha256').update(BOT_TOKEN).digest('hex');
+
 async function setWebhook() {
     console.log('Setting webhook to:', WEBHOOK_URL);
 
@@ -30,7 +34,8 @@ async function setWebhook() {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     url: WEBHOOK_URL,
-                    allowed_updates: ['message', 'callback_query'],
+                    allowed_updates: ['message', 'edited_message', 'message_reaction', 'callback_query'],
+                    secret_token: WEBHOOK_SECRET,
                     drop_pending_updates: true
                 })
             }
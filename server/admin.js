@@ -0,0 +1,318 @@
+/**
+ * Admin commands
+ * Moderation commands for the users listed in ADMIN_IDS.
+ * Every command is written to the audit log (Redis when configured).
+ */
+
+import { sendMessage, sendMessageWithKeyboard, messages } from './telegram.js';
+import { mainMenuKeyboard } from './menus.js';
+import matchmaking from './matchmakingBackend.js';
+import {
+    clearUserState,
+    banUser,
+    unbanUser,
+    getActiveBan,
+    getBanRemainingTime,
+    getReportHistory,
+    parseBanDuration,
+    formatDuration
+} from './userState.js';
+import { getRecentReports, getReportEvidence } from './moderation.js';
+import { getBroadcast, formatBroadcast, startBroadcast, cancelBroadcast, resumeBroadcast } from './broadcast.js';
+import { isRedisAvailable, appendAuditLogToRedis } from './redis.js';
+import { escapeHtml } from './utils.js';
+
+// Telegram user IDs allowed to run admin commands (comma separated)
+const ADMIN_IDS = new Set(
+    (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+);
+
+// Commands routed here by updates.js
+export const ADMIN_COMMANDS = ['/ban', '/unban', '/reports', '/status', '/kick', '/queue', '/broadcast'];
+
+// Audit log (in-memory fallback when Redis is not configured)
+const AUDIT_LOG_SIZE = 1000;
+const auditLog = [];
+
+// How many reports /reports shows
+const REPORTS_SHOWN = 5;
+
+/**
+ * Check if a user may run admin commands
+ */
+export function isAdmin(userId) {
+    return ADMIN_IDS.has(String(userId));
+}
+
+/**
+ * Record an admin action
+ * @param {string} result - Short outcome, e.g. "banned 24h" or "usage"
+ */
+async function audit(adminId, command, args, result) {
+    const entry = { adminId: String(adminId), command, args, result, at: Date.now() };
+    console.log(`[Admin] ${entry.adminId} ${command} ${args} -> ${result}`);
+
+    if (isRedisAvailable()) {
+        await appendAuditLogToRedis(entry, AUDIT_LOG_SIZE);
+    } else {
+        auditLog.unshift(entry);
+        auditLog.length = Math.min(auditLog.length, AUDIT_LOG_SIZE);
+    }
+}
+
+/**
+ * Check that an argument looks like a Telegram user ID
+ */
+function isUserId(value) {
+    return /^\d+$/.test(value || '');
+}
+
+/**
+ * Describe a ban length for admin replies
+ */
+function describeDuration(durationMs) {
+    return durationMs === null ? 'permanently' : `for ${formatDuration(durationMs)}`;
+}
+
+/**
+ * End a user's chat or search, if they have one
+ * In private chats the chat ID is the user ID, so they can be told directly.
+ * @returns {Promise<boolean>} true if something was ended
+ */
+async function endUserSession(userId) {
+    const active = await matchmaking.isInChat(userId) || await matchmaking.isInQueue(userId);
+    if (!active) return false;
+
+    await matchmaking.handleLeave(userId);
+    clearUserState(userId);
+    return true;
+}
+
+/**
+ * /ban <id> <duration> - ban a user (30m, 24h, 7d, permanent)
+ */
+async function handleBanCommand(chatId, args) {
+    const [targetId, duration] = args.split(/\s+/);
+    const durationMs = parseBanDuration(duration);
+
+    if (!isUserId(targetId) || durationMs === undefined) {
+        await sendMessage(chatId, 'Usage: <code>/ban &lt;user id&gt; &lt;30m|24h|7d|permanent&gt;</code>');
+        return 'usage';
+    }
+
+    await banUser(targetId, durationMs);
+
+    const ended = await endUserSession(targetId);
+    await sendMessageWithKeyboard(targetId, messages.banned(await getBanRemainingTime(targetId)), mainMenuKeyboard);
+
+    await sendMessage(chatId, `🚫 Banned <code>${targetId}</code> ${describeDuration(durationMs)}${ended ? ' and ended their chat' : ''}.`);
+    return `banned ${duration}`;
+}
+
+/**
+ * /unban <id> - lift a ban
+ */
+async function handleUnbanCommand(chatId, args) {
+    const [targetId] = args.split(/\s+/);
+
+    if (!isUserId(targetId)) {
+        await sendMessage(chatId, 'Usage: <code>/unban &lt;user id&gt;</code>');
+        return 'usage';
+    }
+
+    if (!await unbanUser(targetId)) {
+        await sendMessage(chatId, `<code>${targetId}</code> is not banned.`);
+        return 'not_banned';
+    }
+
+    await sendMessage(chatId, `✅ Unbanned <code>${targetId}</code>.`);
+    return 'unbanned';
+}
+
+/**
+ * /reports <id> - report history, reasons and evidence for a user
+ */
+async function handleReportsCommand(chatId, args) {
+    const [targetId] = args.split(/\s+/);
+
+    if (!isUserId(targetId)) {
+        await sendMessage(chatId, 'Usage: <code>/reports &lt;user id&gt;</code>');
+        return 'usage';
+    }
+
+    const [history, ban, reports] = await Promise.all([
+        getReportHistory(targetId),
+        getActiveBan(targetId),
+        getRecentReports({ reportedId: targetId, limit: REPORTS_SHOWN })
+    ]);
+
+    const now = Date.now();
+    const banText = !ban ? 'no' : ban.until ? `yes, ${formatDuration(ban.until - now)} left` : 'yes, permanent';
+    const lines = [
+        `📋 <b>Reports for</b> <code>${targetId}</code>`,
+        `Reports in window: ${history.reports}`,
+        `Ban tier reached: ${history.level >= 0 ? history.level + 1 : 'none'}`,
+        `Banned: ${banText}`
+    ];
+
+    if (reports.length === 0) {
+        lines.push('', '<i>No recent reports.</i>');
+    }
+
+    for (const report of reports) {
+        lines.push('', `• ${formatDuration(now - report.at)} ago - <b>${report.reason}</b> (by <code>${report.reporterId}</code>)`);
+
+        const evidence = report.hasEvidence ? await getReportEvidence(report.id) : null;
+        if (report.hasEvidence && !evidence) {
+            lines.push('   <i>evidence expired</i>');
+        }
+        for (const item of evidence || []) {
+            const text = item.text ? escapeHtml(item.text.slice(0, 200)) : '';
+            lines.push(`   <i>${item.type}</i> ${text}`);
+        }
+    }
+
+    await sendMessage(chatId, lines.join('\n'));
+    return `shown ${reports.length}`;
+}
+
+/**
+ * /status - matchmaking backend status
+ */
+async function handleStatusCommand(chatId) {
+    const status = await matchmaking.getStatus();
+    const lines = [`📊 <b>Status</b>`, `Backend: ${matchmaking.name}`];
+
+    for (const [key, value] of Object.entries(status || {})) {
+        lines.push(`${key}: ${value}`);
+    }
+
+    await sendMessage(chatId, lines.join('\n'));
+    return 'ok';
+}
+
+/**
+ * /kick <id> - end a user's chat or search
+ */
+async function handleKickCommand(chatId, args) {
+    const [targetId] = args.split(/\s+/);
+
+    if (!isUserId(targetId)) {
+        await sendMessage(chatId, 'Usage: <code>/kick &lt;user id&gt;</code>');
+        return 'usage';
+    }
+
+    if (!await endUserSession(targetId)) {
+        await sendMessage(chatId, `<code>${targetId}</code> is not chatting or searching.`);
+        return 'not_active';
+    }
+
+    await sendMessageWithKeyboard(targetId, messages.kicked, mainMenuKeyboard);
+    await sendMessage(chatId, `👢 Ended the chat of <code>${targetId}</code>.`);
+    return 'kicked';
+}
+
+/**
+ * /queue - summary of who is waiting
+ */
+async function handleQueueCommand(chatId) {
+    const summary = await matchmaking.getQueueSummary();
+    if (!summary) {
+        await sendMessage(chatId, '❌ Queue summary unavailable.');
+        return 'unavailable';
+    }
+
+    const formatCounts = (counts) => Object.entries(counts)
+        .map(([value, count]) => `${value} ${count}`)
+        .join(', ') || '-';
+
+    await sendMessage(chatId, [
+        `⏳ <b>Queue</b>`,
+        `Waiting: ${summary.size}`,
+        `Longest wait: ${formatDuration(summary.oldestWaitMs)}`,
+        `Average wait: ${formatDuration(summary.averageWaitMs)}`,
+        `Languages: ${formatCounts(summary.byLanguage)}`,
+        `Looking for: ${formatCounts(summary.byPreference)}`,
+        `With interests: ${summary.withInterests}`
+    ].join('\n'));
+    return `size ${summary.size}`;
+}
+
+/**
+ * /broadcast <text> - send an announcement to every registered chat
+ * /broadcast status|cancel|resume - manage the current broadcast
+ */
+async function handleBroadcastCommand(chatId, args) {
+    if (!args) {
+        await sendMessage(chatId, 'Usage: <code>/broadcast &lt;text&gt;</code> or <code>/broadcast status|cancel|resume</code>');
+        return 'usage';
+    }
+
+    if (args === 'status') {
+        const broadcast = await getBroadcast();
+        await sendMessage(chatId, broadcast ? formatBroadcast(broadcast) : 'No broadcast has been sent yet.');
+        return broadcast ? broadcast.status : 'none';
+    }
+
+    if (args === 'cancel') {
+        const { success } = await cancelBroadcast();
+        await sendMessage(chatId, success ? '🛑 Cancelling the broadcast after the current batch.' : 'No broadcast is running.');
+        return success ? 'cancelled' : 'not_running';
+    }
+
+    if (args === 'resume') {
+        const { success, locked, broadcast } = await resumeBroadcast();
+        const reply = success ? '▶️ Broadcast resumed.'
+            : locked ? 'Another instance holds the broadcast lock - it will be retried once the lock expires.'
+            : broadcast?.status === 'running' ? 'The broadcast is already being sent.'
+            : 'No unfinished broadcast to resume.';
+        await sendMessage(chatId, reply);
+        return success ? 'resumed' : 'not_resumable';
+    }
+
+    const result = await startBroadcast(chatId, args);
+    if (!result.success) {
+        await sendMessage(chatId, `❌ Broadcast not started: ${escapeHtml(result.error)}`);
+        return 'failed';
+    }
+
+    await sendMessage(chatId, `📣 Above is the preview. Sending to ${result.broadcast.total} chats - use <code>/broadcast cancel</code> to stop.`);
+    return `started ${result.broadcast.id}`;
+}
+
+const handlers = {
+    '/ban': handleBanCommand,
+    '/unban': handleUnbanCommand,
+    '/reports': handleReportsCommand,
+    '/status': handleStatusCommand,
+    '/kick': handleKickCommand,
+    '/queue': handleQueueCommand,
+    '/broadcast': handleBroadcastCommand
+};
+
+/**
+ * Run an admin command (caller checks isAdmin first)
+ * @param {string} command - One of ADMIN_COMMANDS
+ * @param {string} args - Everything after the command
+ */
+export async function handleAdminCommand(chatId, userId, command, args = '') {
+    const handler = handlers[command];
+    if (!handler) return;
+
+    let result;
+    try {
+        result = await handler(chatId, args.trim());
+    } catch (error) {
+        console.error(`Admin command ${command} failed:`, error);
+        result = 'error';
+        await sendMessage(chatId, messages.error);
+    }
+
+    await audit(userId, command, args.trim(), result);
+}
+
+export default {
+    ADMIN_COMMANDS,
+    isAdmin,
+    handleAdminCommand
+};
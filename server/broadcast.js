@@ -0,0 +1,270 @@
+/**
+ * Broadcasts
+ * Admin announcements sent to every registered chat, throttled to stay
+ * under Telegram's global send limit. Progress is saved after every batch
+ * (Redis when configured), so a broadcast can be cancelled from any
+ * instance and picks up where it stopped after a restart.
+ */
+
+import { sendMessage } from './telegram.js';
+import { getDeliveryFailure } from './telegramClient.js';
+import { getRegisteredUsers, getRegistryCounts, markUserInactive } from './userState.js';
+import {
+    isRedisAvailable,
+    saveBroadcastToRedis,
+    getBroadcastFromRedis,
+    acquireBroadcastLock,
+    releaseBroadcastLock
+} from './redis.js';
+
+// Telegram allows about 30 messages per second overall - leave room for chats
+const SENDS_PER_SECOND = Number(process.env.BROADCAST_RATE_PER_SECOND) || 20;
+const BATCH_SIZE = 100;
+const PROGRESS_INTERVAL_MS = 30 * 1000;  // How often the admin gets a progress message
+const LOCK_TTL_MS = 60 * 1000;           // Refreshed after every batch
+
+// Broadcast state when Redis is not configured
+let memoryBroadcast = null;
+
+// Broadcast being sent by this instance, if any
+let runningId = null;
+let retryTimer = null;
+const instanceId = `${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the current (or last) broadcast
+ * @returns {Promise<object|null>} { id, status, cursor, total, sent, failed, inactive, skipped, ... }
+ */
+export async function getBroadcast() {
+    return isRedisAvailable() ? getBroadcastFromRedis() : memoryBroadcast;
+}
+
+/**
+ * Save broadcast progress
+ */
+async function saveBroadcast(broadcast) {
+    broadcast.updatedAt = Date.now();
+    if (isRedisAvailable()) {
+        await saveBroadcastToRedis(broadcast);
+    } else {
+        memoryBroadcast = { ...broadcast };
+    }
+}
+
+/**
+ * Format broadcast progress for the admin
+ */
+export function formatBroadcast(broadcast) {
+    const labels = { running: '📣 Broadcast running', done: '✅ Broadcast finished', cancelled: '🛑 Broadcast cancelled' };
+    return `<b>${labels[broadcast.status] || broadcast.status}</b>
+
+Progress: ${Math.min(broadcast.cursor, broadcast.total)}/${broadcast.total}
+✅ Sent: ${broadcast.sent}
+🚫 Blocked the bot: ${broadcast.inactive}
+⏭️ Skipped (inactive): ${broadcast.skipped}
+❌ Failed: ${broadcast.failed}`;
+}
+
+/**
+ * Send the broadcast to one chat
+ * telegramClient.js already waits out rate limits and retries server errors.
+ * @returns {Promise<'sent'|'inactive'|'failed'>}
+ */
+async function sendToChat(chatId, text) {
+    const result = await sendMessage(chatId, text);
+    if (result.success) return 'sent';
+
+    // Bot was blocked, the user deleted their account, or the chat is gone
+    if (getDeliveryFailure(result)) {
+        await markUserInactive(chatId);
+        return 'inactive';
+    }
+
+    return 'failed';
+}
+
+/**
+ * Start sending a broadcast from this instance
+ * Only one instance sends at a time (see acquireBroadcastLock). If the lock is
+ * held - by another instance, or left over from one that died - this tries
+ * again once the lock could have expired, so a stale lock can't stall a
+ * broadcast for good.
+ * @returns {Promise<boolean>} true if this instance is sending it
+ */
+async function run(broadcastId) {
+    if (runningId) return runningId === broadcastId;
+
+    if (!await acquireBroadcastLock(instanceId, LOCK_TTL_MS)) {
+        scheduleRetry();
+        return false;
+    }
+
+    runningId = broadcastId;
+    sendBatches(broadcastId)
+        .catch(error => {
+            console.error('Broadcast failed:', error);
+        })
+        .finally(() => {
+            runningId = null;
+            releaseBroadcastLock(instanceId);
+        });
+    return true;
+}
+
+/**
+ * Try to resume after the lock TTL (at most one retry pending)
+ */
+function scheduleRetry() {
+    if (retryTimer) return;
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        resumeBroadcast().catch(error => {
+            console.error('Broadcast resume failed:', error);
+        });
+    }, LOCK_TTL_MS);
+}
+
+/**
+ * Send a broadcast batch by batch until it is done or cancelled
+ * Called with the lock held.
+ */
+async function sendBatches(broadcastId) {
+    let lastProgressAt = Date.now();
+
+    while (true) {
+        const broadcast = await getBroadcast();
+        if (!broadcast || broadcast.id !== broadcastId || broadcast.status !== 'running') break;
+
+        const chats = await getRegisteredUsers(broadcast.cursor, BATCH_SIZE);
+        if (chats.length === 0) {
+            broadcast.status = 'done';
+            broadcast.finishedAt = Date.now();
+            await saveBroadcast(broadcast);
+            await sendMessage(broadcast.adminChatId, formatBroadcast(broadcast));
+            console.log(`Broadcast ${broadcastId} finished: ${broadcast.sent} sent`);
+            break;
+        }
+
+        for (const { chatId, active } of chats) {
+            if (!active) {
+                broadcast.skipped++;
+                continue;
+            }
+            // The admin already has the preview
+            if (chatId === broadcast.adminChatId) {
+                broadcast.sent++;
+                continue;
+            }
+
+            broadcast[await sendToChat(chatId, broadcast.text)]++;
+            await sleep(1000 / SENDS_PER_SECOND);
+        }
+        broadcast.cursor += chats.length;
+
+        // Keep a cancel that arrived (possibly on another instance) mid-batch
+        const latest = await getBroadcast();
+        if (latest?.status === 'cancelled') {
+            broadcast.status = 'cancelled';
+        }
+        await saveBroadcast(broadcast);
+
+        if (broadcast.status === 'cancelled') {
+            await sendMessage(broadcast.adminChatId, formatBroadcast(broadcast));
+            console.log(`Broadcast ${broadcastId} cancelled at ${broadcast.cursor}`);
+            break;
+        }
+
+        // Another instance took over (our lock expired) - it carries on from the saved cursor
+        if (!await acquireBroadcastLock(instanceId, LOCK_TTL_MS)) {
+            console.error(`Lost the lock for broadcast ${broadcastId} at ${broadcast.cursor}, stopping here`);
+            break;
+        }
+
+        if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+            lastProgressAt = Date.now();
+            await sendMessage(broadcast.adminChatId, formatBroadcast(broadcast));
+        }
+    }
+}
+
+/**
+ * Start a broadcast to every registered chat
+ * The admin gets the message first, so broken HTML fails before anyone else sees it.
+ * @returns {Promise<{ success: boolean, error?: string, broadcast?: object }>}
+ */
+export async function startBroadcast(adminChatId, text) {
+    const current = await getBroadcast();
+    if (current?.status === 'running') {
+        return { success: false, error: 'A broadcast is already running.' };
+    }
+
+    const preview = await sendMessage(adminChatId, text);
+    if (!preview.success) {
+        return { success: false, error: preview.error };
+    }
+
+    const { total } = await getRegistryCounts();
+    const broadcast = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        text,
+        adminChatId: String(adminChatId),
+        status: 'running',
+        cursor: 0,
+        total,
+        sent: 0,
+        inactive: 0,
+        skipped: 0,
+        failed: 0,
+        startedAt: Date.now()
+    };
+    await saveBroadcast(broadcast);
+
+    console.log(`Broadcast ${broadcast.id} started for ${total} chats`);
+    // If the lock is taken, run() keeps retrying until it is free
+    await run(broadcast.id);
+
+    return { success: true, broadcast };
+}
+
+/**
+ * Cancel the running broadcast (takes effect after the current batch)
+ * @returns {Promise<{ success: boolean, broadcast?: object }>}
+ */
+export async function cancelBroadcast() {
+    const broadcast = await getBroadcast();
+    if (broadcast?.status !== 'running') {
+        return { success: false };
+    }
+
+    broadcast.status = 'cancelled';
+    await saveBroadcast(broadcast);
+    return { success: true, broadcast };
+}
+
+/**
+ * Continue an unfinished broadcast (e.g. after a restart)
+ * @returns {Promise<{ success: boolean, locked?: boolean, broadcast?: object }>}
+ *   locked is true if another (or a dead) instance holds the lock; this
+ *   instance tries again once it could have expired
+ */
+export async function resumeBroadcast() {
+    const broadcast = await getBroadcast();
+    if (broadcast?.status !== 'running' || runningId === broadcast.id) {
+        return { success: false, broadcast };
+    }
+
+    if (!await run(broadcast.id)) {
+        return { success: false, locked: true, broadcast };
+    }
+    return { success: true, broadcast };
+}
+
+export default {
+    getBroadcast,
+    formatBroadcast,
+    startBroadcast,
+    cancelBroadcast,
+    resumeBroadcast
+};
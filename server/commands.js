@@ -3,9 +3,10 @@
  * Handles menu buttons, commands, and message routing
  */
 
-import { sendMessage, sendMessageWithKeyboard, sendTypingAction, messages, answerCallbackQuery, editMessageReplyMarkup, editMessageText, sendPhoto, sendVideo, sendSticker, sendVoice, sendAnimation, sendVideoNote, sendDocument } from './telegram.js';
-import matchmaking from './matchmaking.js';
-import { isRateLimited, validateMessage } from './utils.js';
+import { sendMessage, sendRelayedText, sendMessageWithKeyboard, sendTypingAction, messages, answerCallbackQuery, editMessageReplyMarkup, editMessageText, editRelayedText, editMessageCaption, deleteMessage, setMessageReaction, sendPhoto, sendVideo, sendSticker, sendVoice, sendAnimation, sendVideoNote, sendDocument, sendAudio, sendMediaGroup, copyMessage, sendPoll, sendLocation, sendVenue, sendContact } from './telegram.js';
+import { getDeliveryFailure } from './telegramClient.js';
+import matchmaking from './matchmakingBackend.js';
+import { isRateLimited, validateMessage, getMessageEntities } from './utils.js';
 import {
     BUTTONS,
     mainMenuKeyboard,
@@ -14,11 +15,22 @@ import {
     languageSelectKeyboard,
     inChatKeyboard,
     searchingKeyboard,
-    reportConfirmKeyboard,
     skippedKeyboard,
     stoppedKeyboard,
-    getSettingsInlineKeyboard
+    getSettingsInlineKeyboard,
+    getRelaxOfferInlineKeyboard,
+    getReportReasonsInlineKeyboard,
+    MESSAGE_TYPE_LABELS,
+    getMessageTypesInlineKeyboard,
+    LEAK_GUARD_MODE_LABELS,
+    getLeakWarningInlineKeyboard
 } from './menus.js';
+import { toEvidence, recordRelayedMessage, getRecentMessages, clearRecentMessages, saveReport } from './moderation.js';
+import { recordMessagePair, getPartnerMessage, getPartnerMessageId, forgetMessagePair, clearMessageMap } from './messageMap.js';
+import { isMediaGroupPending, addMediaGroupItem, flushMediaGroups } from './mediaGroups.js';
+import { runForUser } from './userQueue.js';
+import { SPAM_ACTIONS, checkSpam, checkDuplicate } from './spamRules.js';
+import { LEAK_LABELS, findMessageLeaks, maskMessage, holdMessage, takeHeldMessage } from './leakGuard.js';
 import {
     USER_STATES,
     getUserState,
@@ -27,14 +39,28 @@ import {
     setUserGender,
     getUserSettings,
     toggleTypingIndicator,
+    toggleShowEdits,
+    toggleShowReactions,
+    OPTIONAL_MESSAGE_TYPES,
+    isMessageTypeAllowed,
+    toggleMessageType,
+    getLeakGuardMode,
+    cycleLeakGuardMode,
+    toggleAutoWiden,
     getUserStats,
     formatDuration,
     isUserBanned,
     getBanRemainingTime,
+    banUser,
     reportUser,
     setSkippedPartner,
     getSkippedPartner,
     clearSkippedPartner,
+    blockUser,
+    getBlockedUsers,
+    getBlockedCount,
+    clearBlockedUsers,
+    isBlockedEitherWay,
     setUserGenderSetting,
     getUserGenderSetting,
     setRevealRequest,
@@ -42,19 +68,57 @@ import {
     hasUserRequestedReveal,
     clearRevealRequest,
     setUserAge,
+    parseAgeRange,
+    setUserAgeRange,
     setUserLanguageSetting,
-    getUserLanguageSetting
+    getUserLanguageSetting,
+    getUserGender,
+    MAX_INTERESTS,
+    parseInterests,
+    setUserInterests,
+    getMatchProfile,
+    markUserInactive
 } from './userState.js';
 
-// Set up matchmaking response handler
-matchmaking.setResponseCallback(handleMatchmakingMessage);
+// How long after sending a message it can still be unsent
+const UNSEND_WINDOW_MINUTES = 10;
+
+// Matchmaking events that go through the recipient's queue, so relayed messages
+// (and the chat end after them) arrive in order, and the recipient's next
+// update only runs once the message it may reply to has been mapped
+const QUEUED_EVENTS = ['forward_message', 'partner_left'];
+
+// Set up matchmaking response handler (responses are not awaited by the backends)
+matchmaking.setResponseCallback(message => {
+    const handle = () => handleMatchmakingMessage(message).catch(error => {
+        console.error(`Failed to handle matchmaking message (${message.type}):`, error);
+    });
+
+    if (!QUEUED_EVENTS.includes(message.type) || !message.userId) {
+        handle();
+        return;
+    }
+
+    runForUser(message.userId, handle).then(queued => {
+        if (!queued) {
+            console.error(`Dropped matchmaking message (${message.type}) for user ${message.userId}: queue full`);
+        }
+    });
+});
+
+/**
+ * Build queue options: search filters plus the user's match profile
+ */
+function buildJoinOptions(userId, filters = {}) {
+    return { ...filters, ...getMatchProfile(userId) };
+}
 
 /**
  * Handle /start command - show welcome with main menu
  */
 export async function handleStart(chatId, userId) {
     // Check if already in a chat
-    if (matchmaking.isInChat(userId)) {
+    if (await matchmaking.isInChat(userId)) {
         await sendMessageWithKeyboard(chatId, messages.alreadyInChat, inChatKeyboard);
         return;
     }
@@ -68,8 +132,8 @@ export async function handleStart(chatId, userId) {
  */
 export async function handleFind(chatId, userId) {
     // Check if banned
-    if (isUserBanned(userId)) {
-        const remaining = getBanRemainingTime(userId);
+    if (await isUserBanned(userId)) {
+        const remaining = await getBanRemainingTime(userId);
         await sendMessageWithKeyboard(chatId, messages.banned(remaining), mainMenuKeyboard);
         return;
     }
@@ -78,7 +142,7 @@ export async function handleFind(chatId, userId) {
     await sendMessageWithKeyboard(chatId, messages.searching, searchingKeyboard);
 
     // Join the matchmaking queue (no gender filter)
-    matchmaking.handleJoin(userId, chatId, {});
+    await matchmaking.handleJoin(userId, chatId, buildJoinOptions(userId));
 }
 
 /**
@@ -86,8 +150,8 @@ export async function handleFind(chatId, userId) {
  */
 export async function handleGenderSelect(chatId, userId) {
     // Check if banned
-    if (isUserBanned(userId)) {
-        const remaining = getBanRemainingTime(userId);
+    if (await isUserBanned(userId)) {
+        const remaining = await getBanRemainingTime(userId);
         await sendMessageWithKeyboard(chatId, messages.banned(remaining), mainMenuKeyboard);
         return;
     }
@@ -149,7 +213,7 @@ export async function handlePreferenceChoice(chatId, userId, prefText) {
         searchingKeyboard
     );
 
-    matchmaking.handleJoin(userId, chatId, { gender, preference });
+    await matchmaking.handleJoin(userId, chatId, buildJoinOptions(userId, { gender, preference }));
 }
 
 /**
@@ -157,8 +221,8 @@ export async function handlePreferenceChoice(chatId, userId, prefText) {
  */
 export async function handleLanguageSelect(chatId, userId) {
     // Check if banned
-    if (isUserBanned(userId)) {
-        const remaining = getBanRemainingTime(userId);
+    if (await isUserBanned(userId)) {
+        const remaining = await getBanRemainingTime(userId);
         await sendMessageWithKeyboard(chatId, messages.banned(remaining), mainMenuKeyboard);
         return;
     }
@@ -199,7 +263,7 @@ export async function handleLanguageChoice(chatId, userId, langText) {
         searchingKeyboard
     );
 
-    matchmaking.handleJoin(userId, chatId, { language });
+    await matchmaking.handleJoin(userId, chatId, buildJoinOptions(userId, { language }));
 }
 
 /**
@@ -207,14 +271,15 @@ export async function handleLanguageChoice(chatId, userId, langText) {
  */
 export async function handleNext(chatId, userId) {
     // Get current partner info before skipping
-    const partner = matchmaking.getPartner(userId);
+    const partner = await matchmaking.getPartner(userId);
 
     // If we have a partner, save their info for undo
     if (partner) {
         setSkippedPartner(userId, partner.partnerId, partner.partnerChatId);
     }
 
-    matchmaking.handleNext(userId, chatId);
+    // Rejoin with the same gender preferences
+    await matchmaking.handleNext(userId, chatId, buildJoinOptions(userId, getUserGender(userId) || {}));
 
     // Clear user state before showing skipped keyboard
     clearUserState(userId);
@@ -239,8 +304,10 @@ export async function handleUndoSkip(chatId, userId) {
 
     const { partnerId, partnerChatId } = skippedPartner;
 
-    // Try to reconnect
-    const result = matchmaking.reconnectPair(userId, partnerId, chatId, partnerChatId);
+    // Never reconnect blocked pairs (reported the same way as a busy partner)
+    const result = await isBlockedEitherWay(userId, partnerId)
+        ? { success: false, reason: 'blocked' }
+        : await matchmaking.reconnectPair(userId, partnerId, chatId, partnerChatId);
 
     if (result.success) {
         // Clear skipped partner data
@@ -265,19 +332,19 @@ export async function handleUndoSkip(chatId, userId) {
  */
 export async function handleStop(chatId, userId) {
     // Check if user is actually in a chat or searching
-    const isInChat = matchmaking.isInChat(userId);
-    const isInQueue = matchmaking.isInQueue(userId);
+    const isInChat = await matchmaking.isInChat(userId);
+    const isInQueue = await matchmaking.isInQueue(userId);
 
     if (isInChat || isInQueue) {
         // Get partner info before leaving (for undo feature)
-        const partner = matchmaking.getPartner(userId);
+        const partner = await matchmaking.getPartner(userId);
 
         // If we have a partner, save their info for undo
         if (partner) {
             setSkippedPartner(userId, partner.partnerId, partner.partnerChatId);
         }
 
-        matchmaking.handleLeave(userId);
+        await matchmaking.handleLeave(userId);
         clearUserState(userId);
 
         if (isInChat) {
@@ -314,8 +381,10 @@ export async function handleUndoStop(chatId, userId) {
 
     const { partnerId, partnerChatId } = stoppedPartner;
 
-    // Try to reconnect
-    const result = matchmaking.reconnectPair(userId, partnerId, chatId, partnerChatId);
+    // Never reconnect blocked pairs (reported the same way as a busy partner)
+    const result = await isBlockedEitherWay(userId, partnerId)
+        ? { success: false, reason: 'blocked' }
+        : await matchmaking.reconnectPair(userId, partnerId, chatId, partnerChatId);
 
     if (result.success) {
         // Clear stopped partner data
@@ -346,7 +415,7 @@ export async function handleReveal(chatId, userId, username) {
     }
 
     // Check if in a chat
-    const partner = matchmaking.getPartner(userId);
+    const partner = await matchmaking.getPartner(userId);
     if (!partner) {
         await sendMessageWithKeyboard(chatId, messages.notInChat, mainMenuKeyboard);
         return;
@@ -390,9 +459,34 @@ export async function handleReveal(chatId, userId, username) {
  * Handle Settings command - show settings with inline keyboard
  */
 export async function handleSettings(chatId, userId) {
-    const settings = getUserSettings(userId);
+    const settings = getSettingsView(userId);
     const inlineKeyboard = getSettingsInlineKeyboard(settings);
-    await sendMessageWithKeyboard(chatId, messages.settings(settings.typingIndicator, settings.gender, settings.age, settings.language), inlineKeyboard);
+    await sendMessageWithKeyboard(chatId, messages.settings(settings), inlineKeyboard);
+}
+
+/**
+ * Re-render an existing settings message after a change
+ */
+async function refreshSettingsMessage(chatId, messageId, userId) {
+    const settings = getSettingsView(userId);
+    await editMessageText(chatId, messageId, messages.settings(settings), getSettingsInlineKeyboard(settings));
+}
+
+/**
+ * Show the message types screen in place of an existing settings message
+ */
+async function showMessageTypes(chatId, messageId, userId) {
+    const allowed = Object.fromEntries(
+        Object.keys(OPTIONAL_MESSAGE_TYPES).map(type => [type, isMessageTypeAllowed(userId, type)])
+    );
+    await editMessageText(chatId, messageId, messages.messageTypes, getMessageTypesInlineKeyboard(allowed));
+}
+
+/**
+ * Settings plus the derived values the settings screen shows
+ */
+function getSettingsView(userId) {
+    return { ...getUserSettings(userId), blockedCount: getBlockedCount(userId) };
 }
 
 /**
@@ -432,14 +526,133 @@ export async function handleCallbackQuery(callbackQuery) {
         case 'toggle_typing': {
             // Toggle typing indicator setting
             const newValue = toggleTypingIndicator(userId);
-            const settings = getUserSettings(userId);
-            const newKeyboard = getSettingsInlineKeyboard(settings);
 
             // Show toast notification
             await answerCallbackQuery(queryId, `✅ Typing Indicator ${newValue ? 'ON' : 'OFF'}`);
 
             // Refresh full settings message
-            await editMessageText(chatId, messageId, messages.settings(settings.typingIndicator, settings.gender, settings.age, settings.language), newKeyboard);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'toggle_show_edits': {
+            const newValue = toggleShowEdits(userId);
+            await answerCallbackQuery(queryId, `✅ Show Partner Edits ${newValue ? 'ON' : 'OFF'}`);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'toggle_show_reactions': {
+            const newValue = toggleShowReactions(userId);
+            await answerCallbackQuery(queryId, `✅ Show Partner Reactions ${newValue ? 'ON' : 'OFF'}`);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'message_types': {
+            await answerCallbackQuery(queryId);
+            await showMessageTypes(chatId, messageId, userId);
+            break;
+        }
+
+        case 'toggle_type_audio':
+        case 'toggle_type_dice':
+        case 'toggle_type_poll':
+        case 'toggle_type_location':
+        case 'toggle_type_contact': {
+            const type = data.replace('toggle_type_', '');
+            const newValue = toggleMessageType(userId, type);
+            await answerCallbackQuery(queryId, `${MESSAGE_TYPE_LABELS[type]}: ${newValue ? 'ON' : 'OFF'}`);
+            await showMessageTypes(chatId, messageId, userId);
+            break;
+        }
+
+        case 'open_settings': {
+            await answerCallbackQuery(queryId);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'cycle_leak_guard': {
+            const newValue = cycleLeakGuardMode(userId);
+            await answerCallbackQuery(queryId, `🛡️ Leak Guard: ${LEAK_GUARD_MODE_LABELS[newValue]}`);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'leak_send': {
+            const held = await takeHeldMessage(userId);
+            const partner = held && await matchmaking.getPartner(userId);
+            if (!partner || partner.partnerId !== held.partnerId) {
+                await answerCallbackQuery(queryId, messages.leakExpired);
+                await editMessageText(chatId, messageId, messages.leakExpired);
+                break;
+            }
+            await answerCallbackQuery(queryId);
+            await editMessageText(chatId, messageId, messages.leakSent);
+            await sendToPartner(userId, chatId, partner.partnerId, held.messageData);
+            break;
+        }
+
+        case 'leak_cancel': {
+            await takeHeldMessage(userId);
+            await answerCallbackQuery(queryId);
+            await editMessageText(chatId, messageId, messages.leakCancelled);
+            break;
+        }
+
+        case 'toggle_auto_widen': {
+            const newValue = toggleAutoWiden(userId);
+            await answerCallbackQuery(queryId, `✅ Auto-widen Search ${newValue ? 'ON' : 'OFF'}`);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'clear_blocks': {
+            clearBlockedUsers(userId);
+            await matchmaking.updateProfile(userId, { blocked: [] });
+            await answerCallbackQuery(queryId, messages.blocksCleared);
+            await refreshSettingsMessage(chatId, messageId, userId);
+            break;
+        }
+
+        case 'report_spam':
+        case 'report_harassment':
+        case 'report_sexual':
+        case 'report_underage':
+        case 'report_scam':
+        case 'report_other': {
+            const reason = data.replace('report_', '');
+            await editMessageReplyMarkup(chatId, messageId, { inline_keyboard: [] });
+            await answerCallbackQuery(queryId);
+            await handleReportConfirm(chatId, userId, reason);
+            break;
+        }
+
+        case 'report_toggle_evidence': {
+            const includeEvidence = getUserState(userId).reportEvidence === false;
+            setUserState(userId, USER_STATES.CONFIRMING_REPORT, { reportEvidence: includeEvidence });
+            await answerCallbackQuery(queryId, includeEvidence ? '✅ Recent messages attached' : '❌ Recent messages not attached');
+            await editMessageReplyMarkup(chatId, messageId, getReportReasonsInlineKeyboard(includeEvidence));
+            break;
+        }
+
+        case 'report_cancel': {
+            await editMessageReplyMarkup(chatId, messageId, { inline_keyboard: [] });
+            await answerCallbackQuery(queryId);
+            await handleReportCancel(chatId, userId);
+            break;
+        }
+
+        case 'relax_language':
+        case 'relax_gender': {
+            // User accepted the offer to widen a long-running search
+            const step = data.replace('relax_', '');
+            const result = await matchmaking.relaxFilters(userId, step);
+
+            // Drop the button either way - the offer is used up
+            await editMessageReplyMarkup(chatId, messageId, { inline_keyboard: [] });
+            await answerCallbackQuery(queryId, result.success ? '✅ Search widened' : '❌ You are no longer searching');
             break;
         }
 
@@ -449,14 +662,12 @@ export async function handleCallbackQuery(callbackQuery) {
             // Extract gender from callback data
             const gender = data.replace('set_gender_', '');
             setUserGenderSetting(userId, gender);
-            const settings = getUserSettings(userId);
-            const newKeyboard = getSettingsInlineKeyboard(settings);
 
             // Show toast notification with gender label
             await answerCallbackQuery(queryId, `✅ Gender set to ${genderLabels[gender]}`);
 
             // Refresh full settings message
-            await editMessageText(chatId, messageId, messages.settings(settings.typingIndicator, settings.gender, settings.age, settings.language), newKeyboard);
+            await refreshSettingsMessage(chatId, messageId, userId);
             break;
         }
 
@@ -468,8 +679,6 @@ export async function handleCallbackQuery(callbackQuery) {
             // Extract language from callback data
             const language = data.replace('set_lang_', '');
             setUserLanguageSetting(userId, language);
-            const settings = getUserSettings(userId);
-            const newKeyboard = getSettingsInlineKeyboard(settings);
 
             // Language labels for toast
             const langLabels = {
@@ -481,7 +690,7 @@ export async function handleCallbackQuery(callbackQuery) {
             };
 
             await answerCallbackQuery(queryId, `✅ Language set to ${langLabels[language]}`);
-            await editMessageText(chatId, messageId, messages.settings(settings.typingIndicator, settings.gender, settings.age, settings.language), newKeyboard);
+            await refreshSettingsMessage(chatId, messageId, userId);
             break;
         }
 
@@ -493,6 +702,22 @@ export async function handleCallbackQuery(callbackQuery) {
             break;
         }
 
+        case 'set_age_range': {
+            // Set user state to awaiting partner age range input
+            setUserState(userId, USER_STATES.SETTING_AGE_RANGE);
+            await answerCallbackQuery(queryId, '🎯 Enter partner age range');
+            await sendMessage(chatId, messages.enterAgeRange);
+            break;
+        }
+
+        case 'set_interests': {
+            // Set user state to awaiting interest tags
+            setUserState(userId, USER_STATES.SETTING_INTERESTS);
+            await answerCallbackQuery(queryId, '🏷️ Enter your interests');
+            await sendMessage(chatId, messages.enterInterests(MAX_INTERESTS));
+            break;
+        }
+
         default:
             await answerCallbackQuery(queryId);
             console.log('Unknown callback data:', data);
@@ -503,33 +728,34 @@ export async function handleCallbackQuery(callbackQuery) {
  * Handle Report button - show confirmation dialog
  */
 export async function handleReport(chatId, userId) {
-    const partner = matchmaking.getPartner(userId);
+    const partner = await matchmaking.getPartner(userId);
     if (!partner) {
         await sendMessageWithKeyboard(chatId, messages.notInChat, mainMenuKeyboard);
         return;
     }
 
-    // Set state to confirming report
-    setUserState(userId, USER_STATES.CONFIRMING_REPORT);
-    await sendMessageWithKeyboard(
-        chatId,
-        '⚠️ Are you sure you want to report this user?\n\nReporting will be recorded and may result in a ban for the reported user if multiple reports are received.',
-        reportConfirmKeyboard
-    );
+    // Set state to confirming report (evidence is attached unless turned off)
+    setUserState(userId, USER_STATES.CONFIRMING_REPORT, { reportEvidence: true });
+    await sendMessageWithKeyboard(chatId, messages.reportReasons, getReportReasonsInlineKeyboard(true));
 }
 
 /**
  * Handle Report confirmation
+ * @param {string} reason - One of REPORT_REASONS
  */
-export async function handleReportConfirm(chatId, userId) {
-    const partner = matchmaking.getPartner(userId);
+export async function handleReportConfirm(chatId, userId, reason = 'other') {
+    const partner = await matchmaking.getPartner(userId);
     if (!partner) {
         clearUserState(userId);
         await sendMessageWithKeyboard(chatId, messages.notInChat, mainMenuKeyboard);
         return;
     }
 
-    const result = reportUser(userId, partner.partnerId);
+    // Snapshot of what the partner sent this user, if they agreed to attach it
+    const includeEvidence = getUserState(userId).reportEvidence !== false;
+    const evidence = includeEvidence ? getRecentMessages(partner.partnerId, userId) : [];
+
+    const result = await reportUser(userId, partner.partnerId, { reason, evidence });
     clearUserState(userId);
 
     if (result.alreadyReported) {
@@ -547,6 +773,29 @@ export async function handleReportCancel(chatId, userId) {
     await sendMessageWithKeyboard(chatId, '❌ Report cancelled.', inChatKeyboard);
 }
 
+/**
+ * Handle Block button - end the chat and never match this pair again
+ */
+export async function handleBlock(chatId, userId) {
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) {
+        await sendMessageWithKeyboard(chatId, messages.notInChat, mainMenuKeyboard);
+        return;
+    }
+
+    blockUser(userId, partner.partnerId);
+    await matchmaking.updateProfile(userId, { blocked: getBlockedUsers(userId) });
+
+    // No undo for a block
+    clearSkippedPartner(userId);
+
+    // Partner just sees that the chat ended
+    await matchmaking.handleLeave(userId);
+    clearUserState(userId);
+
+    await sendMessageWithKeyboard(chatId, messages.blocked, mainMenuKeyboard);
+}
+
 /**
  * Handle Back button - return to main menu
  */
@@ -581,6 +830,9 @@ export async function handleTextMessage(message, userId, chatId) {
     if (text === BUTTONS.REPORT) {
         return handleReport(chatId, userId);
     }
+    if (text === BUTTONS.BLOCK) {
+        return handleBlock(chatId, userId);
+    }
     if (text === BUTTONS.CONFIRM_REPORT) {
         return handleReportConfirm(chatId, userId);
     }
@@ -642,14 +894,51 @@ export async function handleTextMessage(message, userId, chatId) {
         return;
     }
 
+    // Handle partner age range input state
+    if (userState.state === USER_STATES.SETTING_AGE_RANGE) {
+        const clearing = (text || '').trim().toLowerCase() === 'any';
+        const ageRange = clearing ? null : parseAgeRange(text);
+        if (!clearing && !ageRange) {
+            await sendMessage(chatId, messages.invalidAgeRange);
+            return;
+        }
+
+        setUserAgeRange(userId, ageRange);
+        clearUserState(userId);
+        await sendMessage(chatId, messages.ageRangeSet(ageRange));
+        return;
+    }
+
+    // Handle interest tags input state
+    if (userState.state === USER_STATES.SETTING_INTERESTS) {
+        if (!text) {
+            await sendMessage(chatId, messages.enterInterests(MAX_INTERESTS));
+            return;
+        }
+
+        const clearing = ['clear', 'none', '-'].includes(text.trim().toLowerCase());
+        const interests = clearing ? [] : parseInterests(text);
+        if (!clearing && interests.length === 0) {
+            await sendMessage(chatId, messages.invalidInterests);
+            return;
+        }
+
+        setUserInterests(userId, interests);
+        clearUserState(userId);
+        await sendMessage(chatId, messages.interestsSet(interests));
+        return;
+    }
+
     // If not in chat, show not in chat message
-    if (!matchmaking.isInChat(userId)) {
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) {
         await sendMessageWithKeyboard(chatId, messages.notInChat, mainMenuKeyboard);
         return;
     }
 
-    // Rate limit check
-    if (isRateLimited(userId)) {
+    // Rate limit check (an album counts as one message)
+    const albumStarted = message.media_group_id && isMediaGroupPending(userId, message.media_group_id);
+    if (!albumStarted && isRateLimited(userId)) {
         await sendMessage(chatId, messages.rateLimited);
         return;
     }
@@ -661,29 +950,308 @@ export async function handleTextMessage(message, userId, chatId) {
         return;
     }
 
-    // Send to partner via matchmaking with media info
-    matchmaking.handleMessage(userId, {
+    // Polls, locations, contacts etc. only go to partners who accept them
+    if (!isMessageTypeAllowed(partner.partnerId, validation.mediaType)) {
+        const type = validation.mediaType === 'venue' ? 'location' : validation.mediaType;
+        await sendMessage(chatId, messages.typeNotAccepted(MESSAGE_TYPE_LABELS[type]));
+        return;
+    }
+
+    const messageData = {
         text: message.text,
         mediaType: validation.mediaType,
         fileId: validation.fileId,
-        caption: validation.caption
+        caption: validation.caption,
+        payload: validation.payload,
+        entities: getMessageEntities(message),
+        messageId: message.message_id,
+        replyToMessageId: message.reply_to_message?.message_id
+    };
+
+    // Album items are collected and relayed together
+    if (message.media_group_id) {
+        await addMediaGroupItem(userId, message.media_group_id, messageData, (items, replyToMessageId) =>
+            relayAlbum(userId, chatId, items, replyToMessageId)
+        );
+        return;
+    }
+
+    // An album still being collected goes first
+    await flushMediaGroups(userId);
+
+    await relayMessage(userId, chatId, messageData);
+}
+
+/**
+ * Send a collected album to the partner as one message
+ * A lone item (the rest were rejected) is relayed as a normal message.
+ */
+async function relayAlbum(userId, chatId, items, replyToMessageId) {
+    if (items.length === 1) {
+        await relayMessage(userId, chatId, items[0]);
+        return;
+    }
+
+    await relayMessage(userId, chatId, {
+        mediaType: 'media_group',
+        items,
+        messageId: items[0].messageId,
+        replyToMessageId
     });
 }
 
+/**
+ * Carry out what a broken spam rule asks for (the message itself is never sent)
+ * @param {{ rule: string, action: string, banMinutes: number }} spam - From checkSpam
+ * @param {object} messageData - The message, kept as report evidence
+ */
+async function handleSpam(userId, chatId, spam, messageData) {
+    console.log(`Spam rule "${spam.rule}" (${spam.action}) hit by user ${userId}`);
+
+    switch (spam.action) {
+        case SPAM_ACTIONS.WARN:
+            await sendMessage(chatId, messages.spamBlocked(spam.rule));
+            break;
+
+        case SPAM_ACTIONS.REPORT: {
+            // Kept for moderators (/reports), but only reports from partners
+            // count towards automatic bans
+            const evidence = (messageData.items || [messageData]).map(toEvidence);
+            await saveReport({ reportedId: userId, reporterId: 'spam_rules', reason: 'spam' }, evidence);
+            await sendMessage(chatId, messages.spamBlocked(spam.rule));
+            break;
+        }
+
+        case SPAM_ACTIONS.TEMP_BAN:
+            await banUser(userId, spam.banMinutes * 60 * 1000);
+            await matchmaking.handleLeave(userId);
+            clearUserState(userId);
+            await sendMessageWithKeyboard(chatId, messages.banned(await getBanRemainingTime(userId)), mainMenuKeyboard);
+            break;
+
+        case SPAM_ACTIONS.DROP:
+        default:
+            break;
+    }
+}
+
+/**
+ * Send a message to the partner, unless the spam rules or leak guard stop it
+ * Depending on the sender's setting, a message that looks like it reveals
+ * them is held until they confirm, sent with the details masked, or dropped.
+ */
+async function relayMessage(userId, chatId, messageData) {
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) return;
+
+    // A reply points at the partner's copy of the quoted message; looked up
+    // here, in the sender's queue, so it can't hold up their later messages
+    if (messageData.replyToMessageId) {
+        const replyTo = await getPartnerMessageId(userId, messageData.replyToMessageId, partner.partnerId);
+        messageData = { ...messageData, replyTo };
+    }
+
+    const spam = checkSpam(messageData);
+    if (spam) {
+        await handleSpam(userId, chatId, spam, messageData);
+        return;
+    }
+
+    const leaks = findMessageLeaks(messageData);
+
+    if (leaks.length > 0) {
+        const labels = leaks.map(type => LEAK_LABELS[type]);
+        const mode = getLeakGuardMode(userId);
+
+        if (mode === 'warn') {
+            await holdMessage(userId, partner.partnerId, messageData);
+            await sendMessageWithKeyboard(chatId, messages.leakWarning(labels), getLeakWarningInlineKeyboard());
+            return;
+        }
+
+        // A contact card can't be masked, so it is blocked instead
+        const masked = mode === 'mask' ? maskMessage(messageData) : null;
+        if (!masked) {
+            await sendMessage(chatId, messages.leakBlocked(labels));
+            return;
+        }
+
+        if (await sendToPartner(userId, chatId, partner.partnerId, masked)) {
+            await sendMessage(chatId, messages.leakMasked);
+        }
+        return;
+    }
+
+    await sendToPartner(userId, chatId, partner.partnerId, messageData);
+}
+
+/**
+ * Hand a message that passed the other spam rules and the leak guard to matchmaking
+ * Only messages that are really sent count towards duplicate detection.
+ * @returns {Promise<boolean>} false if it was stopped as a duplicate
+ */
+async function sendToPartner(userId, chatId, partnerId, messageData) {
+    const duplicate = await checkDuplicate(userId, partnerId, messageData);
+    if (duplicate) {
+        await handleSpam(userId, chatId, duplicate, messageData);
+        return false;
+    }
+
+    // Send to partner via matchmaking with media info
+    await matchmaking.handleMessage(userId, messageData);
+    return true;
+}
+
+/**
+ * Mirror an edit of a relayed message to the partner's copy
+ * Only text and captions can be edited. Live location updates also arrive as
+ * edits and are ignored. Edits to messages from outside the current chat are
+ * dropped silently; the sender is only told when a message sent during this
+ * chat (but never relayed, e.g. stopped by the leak guard) was edited.
+ */
+export async function handleEditedMessage(message, userId, chatId) {
+    if (message.location) return;
+
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) return;
+
+    const partnerMessageId = await getPartnerMessageId(userId, message.message_id, partner.partnerId);
+    if (!partnerMessageId) {
+        const chatStartedAt = partner.startedAt ?? getUserState(userId).chatStartTime;
+        if (chatStartedAt && message.date * 1000 >= chatStartedAt) {
+            await sendMessage(chatId, messages.editNotSent);
+        }
+        return;
+    }
+
+    // The partner turned edits off
+    if (getUserSettings(partner.partnerId).showEdits === false) {
+        return;
+    }
+
+    if (isRateLimited(userId)) {
+        await sendMessage(chatId, messages.rateLimited);
+        return;
+    }
+
+    // Edits pass the spam rules and leak guard too; with nobody to confirm,
+    // only masking lets a leak through
+    let edit = { text: message.text ?? message.caption ?? '', entities: getMessageEntities(message) };
+    const spam = checkSpam(edit);
+    if (spam) {
+        await handleSpam(userId, chatId, spam, { mediaType: 'edit', text: edit.text });
+        return;
+    }
+
+    if (findMessageLeaks(edit).length > 0) {
+        if (getLeakGuardMode(userId) !== 'mask') {
+            await sendMessage(chatId, messages.leakEditBlocked);
+            return;
+        }
+        edit = maskMessage(edit);
+    }
+
+    const result = message.text !== undefined
+        ? await editRelayedText(partner.partnerChatId, partnerMessageId, edit.text, edit.entities)
+        : await editMessageCaption(partner.partnerChatId, partnerMessageId, edit.text, edit.entities);
+
+    const failure = getDeliveryFailure(result);
+    if (failure) {
+        await handleUnreachableUser(partner.partnerId, partner.partnerChatId, failure);
+    }
+}
+
+/**
+ * Mirror a reaction on a relayed message to the partner's copy
+ * Bots can set one plain emoji reaction, so custom emoji are not passed on.
+ * Reactions to anything else (menus, old chats) are ignored.
+ * @param {object} reaction - Telegram MessageReactionUpdated
+ */
+export async function handleReaction(reaction, userId) {
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) return;
+
+    const partnerMessageId = await getPartnerMessageId(userId, reaction.message_id, partner.partnerId);
+    if (!partnerMessageId) return;
+
+    // The partner turned reactions off
+    if (getUserSettings(partner.partnerId).showReactions === false) return;
+
+    const emoji = (reaction.new_reaction || []).filter(r => r.type === 'emoji').slice(0, 1);
+    if (emoji.length === 0 && reaction.new_reaction?.length) return;
+
+    if (isRateLimited(userId)) return;
+
+    const result = await setMessageReaction(partner.partnerChatId, partnerMessageId, emoji);
+    const failure = getDeliveryFailure(result);
+    if (failure) {
+        await handleUnreachableUser(partner.partnerId, partner.partnerChatId, failure);
+    }
+}
+
+/**
+ * Handle /unsend - delete the partner's copy of the message being replied to
+ */
+export async function handleUnsend(message, userId, chatId) {
+    const reply = message.reply_to_message;
+    if (!reply) {
+        await sendMessage(chatId, messages.unsendUsage);
+        return;
+    }
+
+    const partner = await matchmaking.getPartner(userId);
+    if (!partner) {
+        await sendMessage(chatId, messages.unsendNotInChat);
+        return;
+    }
+
+    const relayed = await getPartnerMessage(userId, reply.message_id, partner.partnerId);
+    if (!relayed?.own) {
+        await sendMessage(chatId, messages.unsendNotYours);
+        return;
+    }
+
+    if (Date.now() - relayed.sentAt > UNSEND_WINDOW_MINUTES * 60 * 1000) {
+        await sendMessage(chatId, messages.unsendExpired(UNSEND_WINDOW_MINUTES));
+        return;
+    }
+
+    const result = await deleteMessage(partner.partnerChatId, relayed.messageId);
+    if (!result.success) {
+        await sendMessage(chatId, messages.unsendFailed);
+        return;
+    }
+
+    await forgetMessagePair(userId, reply.message_id, partner.partnerId);
+    await sendMessage(chatId, messages.unsent);
+}
+
 /**
  * Handle typing indicator from user
  */
 export async function handleTypingFromUser(userId) {
     // Check if partner has typing indicators enabled
-    const partner = matchmaking.getPartner(userId);
+    const partner = await matchmaking.getPartner(userId);
     if (!partner) return;
 
     const partnerSettings = getUserSettings(partner.partnerId);
     if (partnerSettings.typingIndicator) {
-        matchmaking.handleTyping(userId);
+        await matchmaking.handleTyping(userId);
     }
 }
 
+/**
+ * End the chat of a user who can no longer receive messages
+ * (blocked the bot, deleted their account, chat gone) - their partner is told
+ * through the usual partner_left event.
+ * @param {string} failure - One of DELIVERY_FAILURES
+ */
+async function handleUnreachableUser(userId, chatId, failure) {
+    console.log(`User ${userId} is unreachable (${failure}) - ending their chat`);
+    await markUserInactive(chatId);
+    await matchmaking.handleLeave(userId, { reason: 'unreachable' });
+}
+
 /**
  * Process matchmaking response messages
  */
@@ -691,15 +1259,21 @@ export async function handleMatchmakingMessage(message) {
     const { type, userId, chatId, text, partnerId, partnerChatId } = message;
 
     switch (type) {
-        case 'matched':
+        case 'matched': {
             // Both users matched - notify both with in-chat keyboard
+            const { sharedInterests } = message;
+            const foundText = sharedInterests?.length
+                ? `${messages.partnerFound}\n\n${messages.sharedInterests(sharedInterests)}`
+                : messages.partnerFound;
+
             if (chatId) {
-                await sendMessageWithKeyboard(chatId, messages.partnerFound, inChatKeyboard);
+                await sendMessageWithKeyboard(chatId, foundText, inChatKeyboard);
             }
             if (partnerChatId) {
-                await sendMessageWithKeyboard(partnerChatId, messages.partnerFound, inChatKeyboard);
+                await sendMessageWithKeyboard(partnerChatId, foundText, inChatKeyboard);
             }
             break;
+        }
 
         case 'waiting':
             // User added to queue, already sent "searching" message
@@ -724,44 +1298,108 @@ export async function handleMatchmakingMessage(message) {
             break;
 
         case 'partner_left':
+            clearRecentMessages(userId, partnerId);
+            await clearMessageMap(userId, partnerId);
             if (chatId) {
-                await sendMessageWithKeyboard(chatId, messages.partnerLeft, mainMenuKeyboard);
+                const leftText = message.reason === 'unreachable' ? messages.partnerUnreachable : messages.partnerLeft;
+                await sendMessageWithKeyboard(chatId, leftText, mainMenuKeyboard);
             }
             break;
 
         case 'forward_message':
             if (chatId) {
-                const { mediaType, fileId, caption, text } = message;
+                const { mediaType, fileId, caption, text, payload, entities, items, fromUserId, messageId, replyTo } = message;
+
+                // Kept briefly in memory so a report can include it
+                for (const item of items || [message]) {
+                    recordRelayedMessage(fromUserId, userId, item);
+                }
 
+                // A reply points at this user's copy of the quoted message (see relayMessage)
+                const options = replyTo
+                    ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } }
+                    : {};
+                // The sender's own formatting; relayed text is never parsed as markup
+                const captionOptions = caption && entities ? { ...options, caption_entities: entities } : options;
+
+                let result = null;
                 switch (mediaType) {
                     case 'photo':
-                        await sendPhoto(chatId, fileId, caption);
+                        result = await sendPhoto(chatId, fileId, caption, captionOptions);
                         break;
                     case 'video':
-                        await sendVideo(chatId, fileId, caption);
+                        result = await sendVideo(chatId, fileId, caption, captionOptions);
                         break;
                     case 'sticker':
-                        await sendSticker(chatId, fileId);
+                        result = await sendSticker(chatId, fileId, options);
                         break;
                     case 'voice':
-                        await sendVoice(chatId, fileId);
+                        result = await sendVoice(chatId, fileId, options);
                         break;
                     case 'animation':
-                        await sendAnimation(chatId, fileId, caption);
+                        result = await sendAnimation(chatId, fileId, caption, captionOptions);
                         break;
                     case 'video_note':
-                        await sendVideoNote(chatId, fileId);
+                        result = await sendVideoNote(chatId, fileId, options);
                         break;
                     case 'document':
-                        await sendDocument(chatId, fileId, caption);
+                        result = await sendDocument(chatId, fileId, caption, captionOptions);
+                        break;
+                    case 'audio':
+                        result = await sendAudio(chatId, fileId, caption, captionOptions);
+                        break;
+                    case 'dice':
+                        // Copied so the partner sees the same roll (private chat ID = user ID)
+                        result = await copyMessage(chatId, fromUserId, messageId, options);
+                        break;
+                    case 'poll':
+                        result = await sendPoll(chatId, payload, options);
+                        break;
+                    case 'location':
+                        result = await sendLocation(chatId, payload.latitude, payload.longitude, options);
+                        break;
+                    case 'venue':
+                        result = await sendVenue(chatId, payload, options);
+                        break;
+                    case 'contact':
+                        result = await sendContact(chatId, payload, options);
+                        break;
+                    case 'media_group':
+                        result = await sendMediaGroup(chatId, items, options);
                         break;
                     case 'text':
                     default:
                         if (text) {
-                            await sendMessage(chatId, text);
+                            result = await sendRelayedText(chatId, text, entities, options);
                         }
                         break;
                 }
+
+                if (result?.success && items) {
+                    // One sent message per album item, in the same order
+                    await Promise.all(items.map((item, i) =>
+                        recordMessagePair(fromUserId, item.messageId, userId, result.data[i]?.message_id)
+                    ));
+                } else if (result?.success) {
+                    await recordMessagePair(fromUserId, messageId, userId, result.data.message_id);
+                }
+
+                const failure = getDeliveryFailure(result);
+                if (failure) {
+                    await handleUnreachableUser(userId, chatId, failure);
+                }
+            }
+            break;
+
+        case 'relax_offer':
+            if (chatId) {
+                await sendMessageWithKeyboard(chatId, messages.relaxOffer(message.step), getRelaxOfferInlineKeyboard(message.step));
+            }
+            break;
+
+        case 'filters_relaxed':
+            if (chatId) {
+                await sendMessage(chatId, messages.filtersRelaxed(message.step));
             }
             break;
 
@@ -802,6 +1440,7 @@ export default {
     handleStats,
     handleHelp,
     handleReport,
+    handleBlock,
     handleBack,
     handleTextMessage,
     handleTypingFromUser,
@@ -0,0 +1,275 @@
+/**
+ * Identity-leak guard
+ * Spots things in outgoing text that could identify the sender - usernames,
+ * phone numbers, t.me links, Instagram handles, emails, plus any patterns set
+ * in LEAK_GUARD_PATTERNS. Formatting entities are checked too: links hidden
+ * behind other text (text_link) and mentions that carry a user ID
+ * (text_mention), and so is the text of polls, venues and contact cards. What happens next depends on the sender's setting
+ * (warn, mask or block, see LEAK_GUARD_MODES in userState.js); sharing on
+ * purpose goes through /reveal. Messages waiting for "Send anyway" are held
+ * in Redis when it is configured (so any instance can send them), in memory
+ * otherwise.
+ */
+
+import { isRedisAvailable, saveHeldMessageToRedis, takeHeldMessageFromRedis } from './redis.js';
+import { PAYLOAD_TEXT_FIELDS, getPayloadTexts } from './utils.js';
+
+const HOLD_TTL = 5 * 60 * 1000;   // A held message is dropped after this
+const MASK_CHAR = '•';             // One UTF-16 unit, so entity offsets still line up
+
+// Dates inside a digit run, e.g. 2023-10-19 or 19.10.2023
+const DATE_REGEX = /\b\d{4}[-./]\d{1,2}[-./]\d{1,2}\b|\b\d{1,2}[-./]\d{1,2}[-./]\d{4}\b/;
+
+/**
+ * Whether a phone number candidate has a phone's length (9-15 digits)
+ */
+function hasPhoneLength(text) {
+    const digits = text.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15;
+}
+
+/**
+ * Whether a digit run looks like a phone number rather than any other number
+ * It needs a leading + or separators (a bare 1000000000 is just a number),
+ * and must not contain a date (2023-10-19 12:30 is not a phone number).
+ */
+function isPhoneLike(text) {
+    if (!hasPhoneLength(text)) return false;
+    if (!text.startsWith('+') && /^\d+$/.test(text)) return false;
+    return !DATE_REGEX.test(text);
+}
+
+// Built-in patterns; all must be global. check, if set, must accept a match
+// for it to count.
+const BUILT_IN_PATTERNS = [
+    { type: 'email', regex: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { type: 'telegram_link', regex: /(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/\S+|tg:\/\/\S+/gi },
+    {
+        type: 'instagram',
+        // A link, or "ig: name" / "insta handle name" - a bare dash ("ig - cool") is not enough
+        regex: /(?:https?:\/\/)?(?:www\.)?(?:instagram\.com|instagr\.am)\/\S+|\b(?:ig|insta|instagram)(?:\s*(?:id|handle|username)\b\s*[:=-]?|\s*[:=])\s*@?[\w.]{3,30}/gi
+    },
+    { type: 'username', regex: /(?<![\w@.])@[a-zA-Z]\w{4,31}/g },
+    // Digit runs with the usual separators
+    { type: 'phone', regex: /(?<![\w+])\+?\d[\d\s().-]{6,}\d(?!\w)/g, check: isPhoneLike },
+    // A bare digit run counts when it is introduced as a number
+    {
+        type: 'phone',
+        regex: /(?<=\b(?:phone|tel|call me|text me|whats ?app|wa|mobile|number)\b[\s:=-]{0,3}(?:on |at )?)\+?\d{9,15}(?!\w)/gi,
+        check: hasPhoneLength
+    }
+];
+
+// Shown to the sender, e.g. "It looks like it contains a phone number"
+export const LEAK_LABELS = {
+    email: 'an email address',
+    telegram_link: 'a Telegram link',
+    instagram: 'an Instagram handle',
+    username: 'a @username',
+    phone: 'a phone number',
+    mention: 'a link to a Telegram profile',
+    custom: 'contact details'
+};
+
+/**
+ * Parse LEAK_GUARD_PATTERNS - a JSON array of regular expressions (case-insensitive)
+ * @returns {Array<{ type: string, regex: RegExp }>|null} null if the value is invalid
+ */
+export function parseCustomPatterns(spec) {
+    try {
+        const sources = JSON.parse(spec);
+        if (!Array.isArray(sources)) return null;
+        return sources.map(source => ({ type: 'custom', regex: new RegExp(source, 'gi') }));
+    } catch {
+        return null;
+    }
+}
+
+const CUSTOM_PATTERNS = (process.env.LEAK_GUARD_PATTERNS && parseCustomPatterns(process.env.LEAK_GUARD_PATTERNS)) || [];
+if (process.env.LEAK_GUARD_PATTERNS && CUSTOM_PATTERNS.length === 0) {
+    console.warn(`Invalid LEAK_GUARD_PATTERNS "${process.env.LEAK_GUARD_PATTERNS}" - using built-in patterns only`);
+}
+
+const PATTERNS = [...BUILT_IN_PATTERNS, ...CUSTOM_PATTERNS];
+
+/**
+ * Find identifying details in a piece of text
+ * Overlapping matches are merged into the first one found.
+ * @returns {Array<{ type: string, start: number, end: number }>} In text order
+ */
+export function findLeaks(text) {
+    if (!text) return [];
+
+    const found = [];
+    for (const { type, regex, check } of PATTERNS) {
+        for (const match of text.matchAll(regex)) {
+            if (!match[0]) continue;
+            if (check && !check(match[0])) continue;
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!found.some(leak => start < leak.end && end > leak.start)) {
+                found.push({ type, start, end });
+            }
+        }
+    }
+    return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replace identifying details with dots, keeping the text length
+ */
+export function maskLeaks(text) {
+    if (!text) return text;
+
+    let masked = text;
+    for (const { start, end } of findLeaks(text)) {
+        masked = masked.slice(0, start) + MASK_CHAR.repeat(end - start) + masked.slice(end);
+    }
+    return masked;
+}
+
+/**
+ * Find identifying details carried by formatting entities
+ * A text_mention always points at a user's profile; a text_link counts if its
+ * (hidden) URL matches a pattern.
+ * @returns {Array<string>} Leak types, one per leaking entity
+ */
+function findEntityLeaks(entities) {
+    return (entities || []).flatMap(entity => {
+        if (entity.type === 'text_mention') return ['mention'];
+        if (entity.type === 'text_link') return findLeaks(entity.url).map(leak => leak.type);
+        return [];
+    });
+}
+
+/**
+ * Entities without the ones that give the sender away (see findEntityLeaks)
+ * @returns {Array<object>|undefined} undefined if none are left, like getMessageEntities
+ */
+function maskEntities(entities) {
+    const kept = entities.filter(entity => findEntityLeaks([entity]).length === 0);
+    return kept.length > 0 ? kept : undefined;
+}
+
+/**
+ * Copy of a poll, venue or contact payload with its text masked
+ */
+function maskPayload(payload) {
+    const masked = { ...payload };
+    for (const field of PAYLOAD_TEXT_FIELDS) {
+        const value = masked[field];
+        if (Array.isArray(value)) {
+            masked[field] = value.map(maskLeaks);
+        } else if (typeof value === 'string') {
+            masked[field] = maskLeaks(value);
+        }
+    }
+    return masked;
+}
+
+/**
+ * Copy of a message part (the message or one album item) with identifying details masked
+ */
+function maskPart(part) {
+    const masked = { ...part };
+    if (masked.text) masked.text = maskLeaks(masked.text);
+    if (masked.caption) masked.caption = maskLeaks(masked.caption);
+    if (masked.entities) masked.entities = maskEntities(masked.entities);
+    if (masked.payload) masked.payload = maskPayload(masked.payload);
+    return masked;
+}
+
+/**
+ * Find which kinds of identifying details a relayed message contains
+ * A contact card always counts as a phone number.
+ * @param {object} messageData - As passed to matchmaking.handleMessage
+ * @returns {Array<string>} Leak types (see LEAK_LABELS), empty if none
+ */
+export function findMessageLeaks(messageData) {
+    const types = [messageData, ...(messageData.items || [])].flatMap(part => [
+        ...(part.mediaType === 'contact' ? ['phone'] : []),
+        ...[part.text, part.caption, ...getPayloadTexts(part.payload)]
+            .flatMap(text => findLeaks(text).map(leak => leak.type)),
+        ...findEntityLeaks(part.entities)
+    ]);
+    return [...new Set(types)];
+}
+
+/**
+ * Copy of a relayed message with identifying details masked
+ * Leaking entities are dropped; the text they covered stays (masked if needed).
+ * @returns {object|null} null for a contact card, which is nothing but contact details
+ */
+export function maskMessage(messageData) {
+    if (messageData.mediaType === 'contact') return null;
+
+    const masked = maskPart(messageData);
+    if (masked.items) {
+        masked.items = masked.items.map(maskPart);
+    }
+    return masked;
+}
+
+// ============ Held Messages ============
+
+// userId -> { partnerId, messageData, heldAt } - one message per user (no Redis only)
+const heldMessages = new Map();
+
+/**
+ * Keep a message until the sender confirms it (replaces any earlier one)
+ * @param {string} partnerId - Only sent if the sender is still with this partner
+ */
+export async function holdMessage(userId, partnerId, messageData) {
+    const held = { partnerId: String(partnerId), messageData, heldAt: Date.now() };
+
+    if (isRedisAvailable()) {
+        await saveHeldMessageToRedis(String(userId), held, HOLD_TTL);
+        return;
+    }
+
+    heldMessages.set(String(userId), held);
+}
+
+/**
+ * Take a user's held message
+ * @returns {Promise<{ partnerId: string, messageData: object }|null>} null if there is none or it expired
+ */
+export async function takeHeldMessage(userId) {
+    let held;
+    if (isRedisAvailable()) {
+        held = await takeHeldMessageFromRedis(String(userId));
+    } else {
+        held = heldMessages.get(String(userId));
+        heldMessages.delete(String(userId));
+    }
+
+    if (!held || Date.now() - held.heldAt > HOLD_TTL) return null;
+    return held;
+}
+
+/**
+ * Drop expired held messages (Redis expires its own)
+ */
+export function cleanup() {
+    const now = Date.now();
+    for (const [userId, held] of heldMessages.entries()) {
+        if (now - held.heldAt > HOLD_TTL) {
+            heldMessages.delete(userId);
+        }
+    }
+}
+
+// Run cleanup every 5 minutes
+setInterval(cleanup, 5 * 60 * 1000);
+
+export default {
+    LEAK_LABELS,
+    parseCustomPatterns,
+    findLeaks,
+    maskLeaks,
+    findMessageLeaks,
+    maskMessage,
+    holdMessage,
+    takeHeldMessage,
+    cleanup
+};
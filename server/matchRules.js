@@ -0,0 +1,272 @@
+/**
+ * Matching rules shared by every matchmaking backend
+ * Pure functions only - also bundled into the PartyKit room (party/room.js)
+ */
+
+// Compatibility scoring: each shared interest tag is worth one point, and a
+// waiting user earns one point per WAIT_POINT_MS in the queue. The wait bonus
+// grows without limit, so anyone compatible eventually outranks users who
+// joined later with more shared tags - nobody waits forever.
+const INTEREST_WEIGHT = 1;
+const WAIT_POINT_MS = 60 * 1000;
+
+// Users under this age are only ever matched with each other
+const ADULT_AGE = 18;
+
+/**
+ * Check if two users can match based on gender preferences
+ */
+export function canMatch(user1, user2) {
+    // If either has no gender preference, they can match with anyone
+    if (!user1.gender || !user2.gender) return true;
+    if (!user1.preference || user1.preference === 'any') {
+        if (!user2.preference || user2.preference === 'any') return true;
+        return user2.preference === user1.gender;
+    }
+    if (!user2.preference || user2.preference === 'any') {
+        return user1.preference === user2.gender;
+    }
+    // Both have preferences - check if they match each other
+    return user1.preference === user2.gender && user2.preference === user1.gender;
+}
+
+/**
+ * Check if two users can match based on language preferences
+ */
+export function canMatchLanguage(user1, user2) {
+    // If either has no language preference or 'any', they can match
+    if (!user1.language || user1.language === 'any') return true;
+    if (!user2.language || user2.language === 'any') return true;
+    // Both have specific languages - must match
+    return user1.language === user2.language;
+}
+
+/**
+ * Check if an age falls inside a user's accepted partner age range
+ * No range set means any age is fine, but a range needs a known age.
+ */
+function acceptsAge(user, age) {
+    if (!user.ageRange) return true;
+    if (!age) return false;
+    return age >= user.ageRange.min && age <= user.ageRange.max;
+}
+
+/**
+ * Check if two users can match based on age and partner age ranges
+ * Minors (13-17) are only matched with other minors, so users without an
+ * age can never be matched with them. Ranges are enforced both ways.
+ */
+export function canMatchAge(user1, user2) {
+    const minor1 = Boolean(user1.age) && user1.age < ADULT_AGE;
+    const minor2 = Boolean(user2.age) && user2.age < ADULT_AGE;
+
+    if (minor1 !== minor2) return false;
+
+    return acceptsAge(user1, user2.age) && acceptsAge(user2, user1.age);
+}
+
+/**
+ * Check that neither user has blocked the other
+ */
+export function canMatchBlocks(user1, user2) {
+    const blocked1 = user1.blocked || [];
+    const blocked2 = user2.blocked || [];
+    return !blocked1.includes(String(user2.userId)) && !blocked2.includes(String(user1.userId));
+}
+
+/**
+ * Check if two users can match (combines gender, language, age and blocks)
+ */
+export function canMatchAll(user1, user2) {
+    return canMatch(user1, user2) &&
+        canMatchLanguage(user1, user2) &&
+        canMatchAge(user1, user2) &&
+        canMatchBlocks(user1, user2);
+}
+
+/**
+ * Get the interest tags two users have in common
+ * @returns {string[]}
+ */
+export function sharedInterests(user1, user2) {
+    const mine = user1.interests || [];
+    const theirs = new Set(user2.interests || []);
+    return mine.filter(tag => theirs.has(tag));
+}
+
+/**
+ * Score how good a waiting candidate is for a user (higher is better)
+ * @param {object} user - User looking for a partner
+ * @param {object} candidate - Waiting queue entry
+ * @param {number} now - Current time in ms
+ */
+export function scoreCandidate(user, candidate, now) {
+    const waitedMs = Math.max(0, now - (candidate.joinedAt || now));
+    return sharedInterests(user, candidate).length * INTEREST_WEIGHT + waitedMs / WAIT_POINT_MS;
+}
+
+/**
+ * List waiting users compatible with the given user, best candidate first
+ * Ties keep queue (join) order.
+ * @param {Array<object>} queue - Waiting users in join order
+ * @param {object} user - User looking for a partner
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<object>} Compatible queue entries
+ */
+export function rankCandidates(queue, user, now = Date.now()) {
+    return queue
+        .filter(u => u.userId !== user.userId && canMatchAll(user, u))
+        .map(candidate => ({ candidate, score: scoreCandidate(user, candidate, now) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Summarize the waiting queue for moderators (no user IDs)
+ * @param {Array<object>} queue - Waiting users
+ * @param {number} [now] - Current time in ms
+ * @returns {object} { size, oldestWaitMs, averageWaitMs, byLanguage, byPreference, withInterests }
+ */
+export function summarizeQueue(queue, now = Date.now()) {
+    const waits = queue.map(entry => Math.max(0, now - (entry.joinedAt || now)));
+    const countBy = (field) => queue.reduce((counts, entry) => {
+        const value = entry[field] || 'any';
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        size: queue.length,
+        oldestWaitMs: waits.length ? Math.max(...waits) : 0,
+        averageWaitMs: waits.length ? Math.round(waits.reduce((a, b) => a + b, 0) / waits.length) : 0,
+        byLanguage: countBy('language'),
+        byPreference: countBy('preference'),
+        withInterests: queue.filter(entry => entry.interests?.length).length
+    };
+}
+
+// ============ Recent Partners ============
+
+// Default recent-partner cooldown (backends may override)
+export const DEFAULT_COOLDOWN_CONFIG = {
+    historySize: 10,            // partners remembered per user
+    cooldownMs: 10 * 60 * 1000, // avoid rematching them for this long
+    graceMs: 30 * 1000          // ...unless nobody else shows up within this wait
+};
+
+/**
+ * Check if a candidate is a recent partner still on cooldown
+ * @param {object} candidate - Waiting queue entry
+ * @param {object} recentPartners - partnerId -> time the chat ended (ms)
+ */
+export function isOnCooldown(candidate, recentPartners, now, config = DEFAULT_COOLDOWN_CONFIG) {
+    const endedAt = recentPartners[String(candidate.userId)];
+    return Boolean(endedAt) && now - endedAt < config.cooldownMs;
+}
+
+/**
+ * List the candidates a user may be paired with right now, best first
+ * Recent partners are skipped while on cooldown. If they are the only
+ * compatible users, they are allowed once either side has waited out the
+ * grace period, so two people alone in the queue still get to talk.
+ * History is recorded for both sides, so the user's own history is enough.
+ * @param {Array<object>} queue - Waiting users in join order
+ * @param {object} user - User looking for a partner
+ * @param {object} [recentPartners] - The user's history, partnerId -> ended at (ms)
+ * @param {number} [now] - Current time in ms
+ * @param {object} [config] - { cooldownMs, graceMs }
+ * @returns {Array<object>} Queue entries to try, in order
+ */
+export function selectCandidates(queue, user, recentPartners = {}, now = Date.now(), config = DEFAULT_COOLDOWN_CONFIG) {
+    const ranked = rankCandidates(queue, user, now);
+    const fresh = ranked.filter(candidate => !isOnCooldown(candidate, recentPartners, now, config));
+    if (fresh.length > 0) return fresh;
+
+    const waited = (entry) => now - (entry.joinedAt || now);
+    return ranked.filter(candidate => Math.max(waited(user), waited(candidate)) >= config.graceMs);
+}
+
+// ============ Filter Relaxation ============
+
+// Default wait before offering to widen each filter (backends may override)
+export const DEFAULT_RELAX_CONFIG = {
+    languageAfterMs: 60 * 1000,
+    genderAfterMs: 2 * 60 * 1000
+};
+
+// Filters that are widened at each step, in the order they are offered
+const RELAX_STEPS = {
+    language: { language: 'any' },
+    gender: { preference: 'any' }
+};
+
+/**
+ * Get the relaxation steps a waiting user is due for, in order
+ * A step is due once its timeout has passed and the filter is still narrow.
+ * @param {object} entry - Waiting queue entry
+ * @param {number} now - Current time in ms
+ * @param {object} config - { languageAfterMs, genderAfterMs }
+ * @returns {Array<'language'|'gender'>}
+ */
+export function getDueRelaxations(entry, now, config = DEFAULT_RELAX_CONFIG) {
+    const waitedMs = now - (entry.joinedAt || now);
+    const steps = [];
+
+    if (entry.language && entry.language !== 'any' && waitedMs >= config.languageAfterMs) {
+        steps.push('language');
+    }
+    if (entry.preference && entry.preference !== 'any' && waitedMs >= config.genderAfterMs) {
+        steps.push('gender');
+    }
+
+    return steps;
+}
+
+/**
+ * Get the filter changes for a relaxation step
+ * @returns {object|null} e.g. { language: 'any' }, or null for an unknown step
+ */
+export function getRelaxedFilters(step) {
+    return RELAX_STEPS[step] || null;
+}
+
+// ============ Configuration ============
+
+/**
+ * Read the cooldown and relaxation settings from environment variables
+ * Shared by both backends (the PartyKit room gets them with each join), so a
+ * deployment matches the same way whichever backend it uses.
+ * @param {object} env - e.g. process.env
+ * @returns {{ cooldown: object, relax: object }} Defaults for anything unset or invalid
+ */
+export function getMatchConfig(env) {
+    const seconds = (name) => Number(env[name]) * 1000 || null;
+    return {
+        cooldown: {
+            historySize: Number(env.RECENT_PARTNER_HISTORY) || DEFAULT_COOLDOWN_CONFIG.historySize,
+            cooldownMs: seconds('RECENT_PARTNER_COOLDOWN_SECONDS') || DEFAULT_COOLDOWN_CONFIG.cooldownMs,
+            graceMs: seconds('RECENT_PARTNER_GRACE_SECONDS') || DEFAULT_COOLDOWN_CONFIG.graceMs
+        },
+        relax: {
+            languageAfterMs: seconds('RELAX_LANGUAGE_AFTER_SECONDS') || DEFAULT_RELAX_CONFIG.languageAfterMs,
+            genderAfterMs: seconds('RELAX_GENDER_AFTER_SECONDS') || DEFAULT_RELAX_CONFIG.genderAfterMs
+        }
+    };
+}
+
+export default {
+    canMatch,
+    canMatchLanguage,
+    canMatchAge,
+    canMatchBlocks,
+    canMatchAll,
+    sharedInterests,
+    scoreCandidate,
+    rankCandidates,
+    summarizeQueue,
+    isOnCooldown,
+    selectCandidates,
+    getDueRelaxations,
+    getRelaxedFilters,
+    getMatchConfig
+};
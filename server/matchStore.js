@@ -0,0 +1,204 @@
+/**
+ * Matchmaking state store
+ * Queue, pairs and chat IDs live in Redis when it is configured, so every
+ * server instance sees the same state and active chats survive a deploy.
+ * Falls back to process memory when Redis is not configured.
+ */
+
+import {
+    isRedisAvailable,
+    enqueueWaitingUser,
+    removeWaitingUser,
+    getWaitingUsers,
+    isUserWaiting,
+    getWaitingUser,
+    updateWaitingUser,
+    markRelaxOfferedInRedis,
+    claimPair,
+    reconnectPairInRedis,
+    getPairFromRedis,
+    endPairInRedis,
+    recordRecentPartnersInRedis,
+    getRecentPartnersFromRedis,
+    setChatIdInRedis,
+    getChatIdFromRedis,
+    deleteChatIdFromRedis,
+    getMatchmakingCountsFromRedis
+} from './redis.js';
+
+/**
+ * In-memory fallback with the same async interface as the Redis store
+ */
+function createMemoryStore() {
+    // Queue of users waiting for a match, oldest first
+    const waitingQueue = [];
+
+    // Map of active pairs: userId -> { partnerId, partnerChatId, startedAt }
+    const activePairs = new Map();
+
+    // Map of user chatIds: userId -> chatId
+    const userChatIds = new Map();
+
+    // Recent partners: userId -> Map(partnerId -> time the chat ended)
+    const recentPartners = new Map();
+
+    // Relaxation offers already made: `${userId}:${joinedAt}:${step}` -> timestamp
+    const relaxOffers = new Map();
+    const RELAX_OFFER_TTL = 24 * 60 * 60 * 1000;
+
+    const removeFromQueue = (userId) => {
+        const index = waitingQueue.findIndex(u => u.userId === userId);
+        if (index === -1) return false;
+        waitingQueue.splice(index, 1);
+        return true;
+    };
+
+    return {
+        async enqueue(entry) {
+            if (activePairs.has(entry.userId)) return 'already_chatting';
+            if (waitingQueue.some(u => u.userId === entry.userId)) return 'already_waiting';
+            waitingQueue.push(entry);
+            return 'queued';
+        },
+
+        async dequeue(userId) {
+            return removeFromQueue(userId);
+        },
+
+        async getQueue() {
+            return [...waitingQueue];
+        },
+
+        async isQueued(userId) {
+            return waitingQueue.some(u => u.userId === userId);
+        },
+
+        async getQueueEntry(userId) {
+            return waitingQueue.find(u => u.userId === userId) || null;
+        },
+
+        async updateQueueEntry(entry) {
+            const index = waitingQueue.findIndex(u => u.userId === entry.userId);
+            if (index === -1) return false;
+            waitingQueue[index] = entry;
+            return true;
+        },
+
+        async markRelaxOffered(userId, joinedAt, step) {
+            const now = Date.now();
+            for (const [key, offeredAt] of relaxOffers.entries()) {
+                if (now - offeredAt > RELAX_OFFER_TTL) relaxOffers.delete(key);
+            }
+
+            const key = `${userId}:${joinedAt}:${step}`;
+            if (relaxOffers.has(key)) return false;
+            relaxOffers.set(key, now);
+            return true;
+        },
+
+        async claimPair(user, partner, startedAt, { userQueued = false } = {}) {
+            if (activePairs.has(user.userId) || activePairs.has(partner.userId)) return false;
+            if (userQueued && !waitingQueue.some(u => u.userId === user.userId)) return false;
+            if (!removeFromQueue(partner.userId)) return false;
+            removeFromQueue(user.userId);
+            activePairs.set(user.userId, { partnerId: partner.userId, partnerChatId: partner.chatId, startedAt });
+            activePairs.set(partner.userId, { partnerId: user.userId, partnerChatId: user.chatId, startedAt });
+            return true;
+        },
+
+        async reconnectPair(user, partner, startedAt) {
+            if (activePairs.has(user.userId) || activePairs.has(partner.userId)) return false;
+            removeFromQueue(user.userId);
+            removeFromQueue(partner.userId);
+            activePairs.set(user.userId, { partnerId: partner.userId, partnerChatId: partner.chatId, startedAt });
+            activePairs.set(partner.userId, { partnerId: user.userId, partnerChatId: user.chatId, startedAt });
+            return true;
+        },
+
+        async getPair(userId) {
+            return activePairs.get(userId) || null;
+        },
+
+        async endPair(userId) {
+            const pair = activePairs.get(userId);
+            if (!pair) return null;
+            activePairs.delete(userId);
+            if (activePairs.get(pair.partnerId)?.partnerId === userId) {
+                activePairs.delete(pair.partnerId);
+            }
+            return pair;
+        },
+
+        async recordRecentPartners(userId, partnerId, endedAt, config) {
+            for (const [ownerId, otherId] of [[userId, partnerId], [partnerId, userId]]) {
+                const history = recentPartners.get(ownerId) || new Map();
+                history.delete(String(otherId));
+                history.set(String(otherId), endedAt);
+
+                // Maps keep insertion order, so the oldest partner comes first
+                while (history.size > config.historySize) {
+                    history.delete(history.keys().next().value);
+                }
+                recentPartners.set(ownerId, history);
+            }
+
+            // Drop histories whose newest entry is past the cooldown
+            for (const [ownerId, history] of recentPartners.entries()) {
+                if (endedAt - Math.max(...history.values()) >= config.cooldownMs) {
+                    recentPartners.delete(ownerId);
+                }
+            }
+        },
+
+        async getRecentPartners(userId) {
+            return Object.fromEntries(recentPartners.get(userId) || []);
+        },
+
+        async setChatId(userId, chatId) {
+            userChatIds.set(userId, chatId);
+        },
+
+        async getChatId(userId) {
+            return userChatIds.get(userId) || null;
+        },
+
+        async deleteChatId(userId) {
+            userChatIds.delete(userId);
+        },
+
+        async getCounts() {
+            return {
+                queueSize: waitingQueue.length,
+                activePairs: activePairs.size / 2,
+                users: userChatIds.size
+            };
+        }
+    };
+}
+
+/**
+ * Redis-backed store (see the Matchmaking State section of redis.js)
+ */
+const redisStore = {
+    enqueue: enqueueWaitingUser,
+    dequeue: removeWaitingUser,
+    getQueue: getWaitingUsers,
+    isQueued: isUserWaiting,
+    getQueueEntry: getWaitingUser,
+    updateQueueEntry: updateWaitingUser,
+    markRelaxOffered: markRelaxOfferedInRedis,
+    claimPair,
+    reconnectPair: reconnectPairInRedis,
+    getPair: getPairFromRedis,
+    endPair: endPairInRedis,
+    recordRecentPartners: recordRecentPartnersInRedis,
+    getRecentPartners: getRecentPartnersFromRedis,
+    setChatId: setChatIdInRedis,
+    getChatId: getChatIdFromRedis,
+    deleteChatId: deleteChatIdFromRedis,
+    getCounts: getMatchmakingCountsFromRedis
+};
+
+const store = isRedisAvailable() ? redisStore : createMemoryStore();
+
+export default store;
@@ -1,6 +1,9 @@
 /**
- * In-memory matchmaking manager
+ * Local matchmaking manager
  * Supports gender-based matching and typing indicators
+ * Queue and pair state lives in matchStore.js (Redis when configured,
+ * process memory otherwise), so several instances can share it.
+ * Implements the matchmaking backend interface (see matchmakingBackend.js)
  */
 
 import {
@@ -8,7 +11,6 @@ import {
     getUserState,
     clearUserState,
     setUserGender,
-    getUserGender,
     USER_STATES,
     incrementChatCount,
     incrementMessageCount,
@@ -16,19 +18,27 @@ import {
     endChatAndRecordDuration,
     clearSessionReports
 } from './userState.js';
-
-// Queue of users waiting for a match: { userId, chatId, gender, preference }
-const waitingQueue = [];
-
-// Map of active pairs: userId -> { oderId, partnerChatId }
-const activePairs = new Map();
-
-// Map of user chatIds: userId -> chatId
-const userChatIds = new Map();
+import {
+    selectCandidates,
+    summarizeQueue,
+    sharedInterests,
+    getDueRelaxations,
+    getRelaxedFilters,
+    getMatchConfig
+} from './matchRules.js';
+import { isRedisAvailable } from './redis.js';
+import store from './matchStore.js';
 
 // Callback to send responses (set by commands.js)
 let responseCallback = null;
 
+// How long a user waits before we offer to widen each filter, and how long
+// recently skipped partners are kept apart
+const { relax: RELAX_CONFIG, cooldown: COOLDOWN_CONFIG } = getMatchConfig(process.env);
+
+const QUEUE_CHECK_INTERVAL_MS = 10 * 1000;
+let queueCheckTimer = null;
+
 /**
  * Set the callback function for sending responses
  */
@@ -46,54 +56,115 @@ function sendResponse(message) {
 }
 
 /**
- * Check if two users can match based on gender preferences
+ * Mark both users as chatting and record stats for a new pair
  */
-function canMatch(user1, user2) {
-    // If either has no gender preference, they can match with anyone
-    if (!user1.gender || !user2.gender) return true;
-    if (!user1.preference || user1.preference === 'any') {
-        if (!user2.preference || user2.preference === 'any') return true;
-        return user2.preference === user1.gender;
-    }
-    if (!user2.preference || user2.preference === 'any') {
-        return user1.preference === user2.gender;
+function recordPairStart(userId, partnerId) {
+    setUserState(userId, USER_STATES.IN_CHAT);
+    setUserState(partnerId, USER_STATES.IN_CHAT);
+
+    // Mark chat start for stats
+    markChatStart(userId);
+    markChatStart(partnerId);
+    incrementChatCount(userId);
+    incrementChatCount(partnerId);
+}
+
+/**
+ * Try to pair a user with a compatible waiting user
+ * Candidates are claimed atomically, so if another instance grabs one
+ * first we simply move on to the next.
+ * @param {object} userData - Queue entry of the user looking for a partner
+ * @param {object} [options] - { userQueued: true } when matching someone already waiting
+ * @returns {Promise<object|null>} The partner's queue entry, or null
+ */
+async function tryMatch(userData, options = {}) {
+    const [queue, recentPartners] = await Promise.all([
+        store.getQueue(),
+        store.getRecentPartners(userData.userId)
+    ]);
+    const candidates = selectCandidates(queue, userData, recentPartners, Date.now(), COOLDOWN_CONFIG);
+
+    for (const candidate of candidates) {
+        if (await store.claimPair(userData, candidate, Date.now(), options)) {
+            return candidate;
+        }
     }
-    // Both have preferences - check if they match each other
-    return user1.preference === user2.gender && user2.preference === user1.gender;
+
+    return null;
 }
 
 /**
- * Check if two users can match based on language preferences
+ * Notify both users of a new pair
  */
-function canMatchLanguage(user1, user2) {
-    // If either has no language preference or 'any', they can match
-    if (!user1.language || user1.language === 'any') return true;
-    if (!user2.language || user2.language === 'any') return true;
-    // Both have specific languages - must match
-    return user1.language === user2.language;
+function announceMatch(userData, partner) {
+    const { userId, chatId } = userData;
+
+    recordPairStart(userId, partner.userId);
+
+    sendResponse({
+        type: 'matched',
+        userId,
+        chatId,
+        partnerId: partner.userId,
+        partnerChatId: partner.chatId,
+        sharedInterests: sharedInterests(userData, partner)
+    });
+
+    console.log(`Matched: ${userId} <-> ${partner.userId}`);
 }
 
 /**
- * Check if two users can match (combines gender and language)
+ * End a user's chat and notify the partner
+ * @param {string|null} reason - Passed on to the partner (e.g. 'unreachable')
+ * @returns {Promise<object|null>} The ended pair, or null if not in a chat
  */
-function canMatchAll(user1, user2) {
-    return canMatch(user1, user2) && canMatchLanguage(user1, user2);
+async function endChat(userId, reason = null) {
+    // Only one caller gets the pair back, so the partner is notified once
+    const pair = await store.endPair(userId);
+    if (!pair) return null;
+
+    const { partnerId, partnerChatId, startedAt } = pair;
+
+    // Keep the two apart for a while (history is never shown to users)
+    await store.recordRecentPartners(userId, partnerId, Date.now(), COOLDOWN_CONFIG);
+
+    // Record chat duration for stats
+    endChatAndRecordDuration(userId, startedAt);
+    endChatAndRecordDuration(partnerId, startedAt);
+
+    // Clear session reports between these users
+    clearSessionReports(userId, partnerId);
+
+    // Update partner state
+    setUserState(partnerId, USER_STATES.IDLE);
+
+    // Notify partner
+    sendResponse({
+        type: 'partner_left',
+        userId: partnerId,
+        chatId: partnerChatId,
+        partnerId: userId,
+        reason
+    });
+
+    return pair;
 }
 
 /**
  * Handle user joining the matchmaking queue
  * @param {string} userId - Telegram user ID
  * @param {string} chatId - Telegram chat ID
- * @param {object} options - { gender, preference, language } optional matching options
+ * @param {object} options - { gender, preference, language } search filters plus
+ *   the user's match profile ({ interests }, see getMatchProfile)
  */
-export function handleJoin(userId, chatId, options = {}) {
+export async function handleJoin(userId, chatId, options = {}) {
     const { gender, preference, language } = options;
 
     // Store chatId for this user
-    userChatIds.set(userId, chatId);
+    await store.setChatId(userId, chatId);
 
     // Check if user is already in an active chat
-    if (activePairs.has(userId)) {
+    if (await store.getPair(userId)) {
         sendResponse({
             type: 'already_chatting',
             userId,
@@ -103,8 +174,7 @@ export function handleJoin(userId, chatId, options = {}) {
     }
 
     // Check if user is already waiting
-    const existingInQueue = waitingQueue.find(u => u.userId === userId);
-    if (existingInQueue) {
+    if (await store.isQueued(userId)) {
         sendResponse({
             type: 'already_waiting',
             userId,
@@ -116,55 +186,30 @@ export function handleJoin(userId, chatId, options = {}) {
     // Update user state
     setUserState(userId, USER_STATES.SEARCHING, { gender, preference, language });
 
-    // User data object
-    const userData = { userId, chatId, gender, preference, language };
+    // User data object (also the queue entry)
+    const userData = { ...options, userId, chatId, joinedAt: Date.now() };
 
     // Try to match with someone in queue
-    if (waitingQueue.length > 0) {
-        // Find first compatible user (check both gender and language)
-        const matchIndex = waitingQueue.findIndex(u =>
-            u.userId !== userId && canMatchAll(userData, u)
-        );
-
-        if (matchIndex !== -1) {
-            const partner = waitingQueue.splice(matchIndex, 1)[0];
-
-            // Create the pair
-            activePairs.set(userId, {
-                partnerId: partner.userId,
-                partnerChatId: partner.chatId
-            });
-            activePairs.set(partner.userId, {
-                partnerId: userId,
-                partnerChatId: chatId
-            });
-
-            // Update states to IN_CHAT
-            setUserState(userId, USER_STATES.IN_CHAT);
-            setUserState(partner.userId, USER_STATES.IN_CHAT);
-
-            // Mark chat start for stats
-            markChatStart(userId);
-            markChatStart(partner.userId);
-            incrementChatCount(userId);
-            incrementChatCount(partner.userId);
-
-            // Notify both users
-            sendResponse({
-                type: 'matched',
-                userId,
-                chatId,
-                partnerId: partner.userId,
-                partnerChatId: partner.chatId
-            });
-
-            console.log(`Matched: ${userId} <-> ${partner.userId}`);
-            return;
-        }
+    const partner = await tryMatch(userData);
+    if (partner) {
+        announceMatch(userData, partner);
+        return;
     }
 
     // No match found, add to queue
-    waitingQueue.push(userData);
+    const status = await store.enqueue(userData);
+    if (status !== 'queued') {
+        // Another instance handled this user in the meantime
+        sendResponse({ type: status, userId, chatId });
+        return;
+    }
+
+    // Someone may have joined on another instance while we were enqueuing
+    const lateMatch = await tryMatch(userData);
+    if (lateMatch) {
+        announceMatch(userData, lateMatch);
+        return;
+    }
 
     sendResponse({
         type: 'waiting',
@@ -174,88 +219,40 @@ export function handleJoin(userId, chatId, options = {}) {
         preference
     });
 
-    console.log(`User ${userId} added to queue. Queue size: ${waitingQueue.length}`);
+    console.log(`User ${userId} added to queue`);
 }
 
 /**
  * Handle user leaving the chat or queue
+ * @param {object} options - { reason } told to the partner, e.g. 'unreachable'
+ *   when the user can no longer receive messages
  */
-export function handleLeave(userId) {
+export async function handleLeave(userId, options = {}) {
     // Remove from queue if present
-    const queueIndex = waitingQueue.findIndex(u => u.userId === userId);
-    if (queueIndex !== -1) {
-        waitingQueue.splice(queueIndex, 1);
+    if (await store.dequeue(userId)) {
         console.log(`User ${userId} removed from queue`);
     }
 
     // Remove from active pairs and notify partner
-    const pair = activePairs.get(userId);
+    const pair = await endChat(userId, options.reason || null);
     if (pair) {
-        const { partnerId, partnerChatId } = pair;
-
-        // Record chat duration for stats
-        endChatAndRecordDuration(userId);
-        endChatAndRecordDuration(partnerId);
-
-        // Clear session reports between these users
-        clearSessionReports(userId, partnerId);
-
-        // Remove both from pairs
-        activePairs.delete(userId);
-        activePairs.delete(partnerId);
-
-        // Update partner state
-        setUserState(partnerId, USER_STATES.IDLE);
-
-        // Notify partner
-        sendResponse({
-            type: 'partner_left',
-            userId: partnerId,
-            chatId: partnerChatId
-        });
-
-        console.log(`Pair broken: ${userId} left, notified ${partnerId}`);
+        console.log(`Pair broken: ${userId} left, notified ${pair.partnerId}`);
     }
 
     // Clear user state
     clearUserState(userId);
-    userChatIds.delete(userId);
+    await store.deleteChatId(userId);
 }
 
 /**
  * Handle user skipping to next partner
+ * @param {object} options - Matching options to rejoin the queue with
  */
-export function handleNext(userId, chatId) {
-    // Get current gender preferences to reuse
-    const genderInfo = getUserGender(userId);
-
+export async function handleNext(userId, chatId, options = {}) {
     // First, leave current chat
-    const pair = activePairs.get(userId);
+    const pair = await endChat(userId);
     if (pair) {
-        const { partnerId, partnerChatId } = pair;
-
-        // Record chat duration
-        endChatAndRecordDuration(userId);
-        endChatAndRecordDuration(partnerId);
-
-        // Clear session reports
-        clearSessionReports(userId, partnerId);
-
-        // Remove both from pairs
-        activePairs.delete(userId);
-        activePairs.delete(partnerId);
-
-        // Update partner state
-        setUserState(partnerId, USER_STATES.IDLE);
-
-        // Notify partner they were skipped
-        sendResponse({
-            type: 'partner_left',
-            userId: partnerId,
-            chatId: partnerChatId
-        });
-
-        console.log(`User ${userId} skipped ${partnerId}`);
+        console.log(`User ${userId} skipped ${pair.partnerId}`);
 
         // Send skipped notification only when there was a partner
         sendResponse({
@@ -265,41 +262,31 @@ export function handleNext(userId, chatId) {
         });
 
         // Now rejoin the queue with same preferences
-        handleJoin(userId, chatId, genderInfo || {});
+        await handleJoin(userId, chatId, options);
     } else {
-        // User wasn't in a chat - check if they were in queue
-        const queueIndex = waitingQueue.findIndex(u => u.userId === userId);
-        if (queueIndex !== -1) {
-            // They were searching, just cancel and go back to menu
-            waitingQueue.splice(queueIndex, 1);
-            sendResponse({
-                type: 'not_in_chat',
-                userId,
-                chatId
-            });
-        } else {
-            // Not in chat or queue
-            sendResponse({
-                type: 'not_in_chat',
-                userId,
-                chatId
-            });
-        }
+        // Not in a chat - if they were searching, just cancel and go back to menu
+        await store.dequeue(userId);
+        sendResponse({
+            type: 'not_in_chat',
+            userId,
+            chatId
+        });
     }
 }
 
 /**
  * Handle forwarding message/media to partner
  * @param {string} userId - Sender user ID
- * @param {object} messageData - { text, mediaType, fileId, caption }
+ * @param {object} messageData - { text, mediaType, fileId, caption, payload, entities, messageId, replyToMessageId, replyTo }
+ *   or, for an album, { mediaType: 'media_group', items: [messageData...], messageId, replyToMessageId, replyTo }
+ *   replyTo is the partner's copy of the message being replied to, if known
  */
-export function handleMessage(userId, messageData) {
-    const chatId = userChatIds.get(userId);
-
+export async function handleMessage(userId, messageData) {
     // Find partner
-    const pair = activePairs.get(userId);
+    const pair = await store.getPair(userId);
     if (!pair) {
         // User not in a chat
+        const chatId = await store.getChatId(userId);
         if (chatId) {
             sendResponse({
                 type: 'not_in_chat',
@@ -331,8 +318,8 @@ export function handleMessage(userId, messageData) {
  * Handle typing indicator
  * @param {string} userId - User who is typing
  */
-export function handleTyping(userId) {
-    const pair = activePairs.get(userId);
+export async function handleTyping(userId) {
+    const pair = await store.getPair(userId);
     if (!pair) return;
 
     const { partnerId, partnerChatId } = pair;
@@ -349,86 +336,180 @@ export function handleTyping(userId) {
 /**
  * Get partner info for a user
  */
-export function getPartner(userId) {
-    return activePairs.get(userId) || null;
+export async function getPartner(userId) {
+    return store.getPair(userId);
 }
 
 /**
  * Check if user is in a chat
  */
-export function isInChat(userId) {
-    return activePairs.has(userId);
+export async function isInChat(userId) {
+    return (await store.getPair(userId)) !== null;
 }
 
 /**
  * Check if user is in queue
  */
-export function isInQueue(userId) {
-    return waitingQueue.some(u => u.userId === userId);
+export async function isInQueue(userId) {
+    return store.isQueued(userId);
 }
 
 /**
  * Reconnect two users who were previously paired
- * @returns {boolean} true if reconnected successfully
+ * @returns {Promise<{ success: boolean, reason?: string }>}
  */
-export function reconnectPair(userId, partnerId, chatId, partnerChatId) {
-    // Check if partner is available (not in chat, not in queue)
-    if (activePairs.has(partnerId)) {
+export async function reconnectPair(userId, partnerId, chatId, partnerChatId) {
+    const reconnected = await store.reconnectPair(
+        { userId, chatId },
+        { userId: partnerId, chatId: partnerChatId },
+        Date.now()
+    );
+
+    // Partner (or this user) is already in another chat
+    if (!reconnected) {
         return { success: false, reason: 'partner_busy' };
     }
 
-    // Remove both from queue if present
-    const userQueueIndex = waitingQueue.findIndex(u => u.userId === userId);
-    if (userQueueIndex !== -1) {
-        waitingQueue.splice(userQueueIndex, 1);
-    }
+    // Store chatIds
+    await store.setChatId(userId, chatId);
+    await store.setChatId(partnerId, partnerChatId);
+
+    recordPairStart(userId, partnerId);
+
+    console.log(`Reconnected: ${userId} <-> ${partnerId}`);
+
+    return { success: true };
+}
+
+/**
+ * Widen a waiting user's filters and try to match them again
+ * @returns {Promise<boolean>} false if the user is no longer waiting
+ */
+async function widenSearch(entry, step) {
+    const changes = getRelaxedFilters(step);
+    const updated = { ...entry, ...changes };
 
-    const partnerQueueIndex = waitingQueue.findIndex(u => u.userId === partnerId);
-    if (partnerQueueIndex !== -1) {
-        waitingQueue.splice(partnerQueueIndex, 1);
+    if (!await store.updateQueueEntry(updated)) {
+        return false;
     }
 
-    // Store chatIds
-    userChatIds.set(userId, chatId);
-    userChatIds.set(partnerId, partnerChatId);
+    setUserState(entry.userId, USER_STATES.SEARCHING, changes);
 
-    // Create the pair
-    activePairs.set(userId, {
-        partnerId: partnerId,
-        partnerChatId: partnerChatId
-    });
-    activePairs.set(partnerId, {
-        partnerId: userId,
-        partnerChatId: chatId
+    sendResponse({
+        type: 'filters_relaxed',
+        userId: entry.userId,
+        chatId: entry.chatId,
+        step
     });
 
-    // Update states
-    setUserState(userId, USER_STATES.IN_CHAT);
-    setUserState(partnerId, USER_STATES.IN_CHAT);
+    const partner = await tryMatch(updated, { userQueued: true });
+    if (partner) {
+        announceMatch(updated, partner);
+    }
 
-    // Mark chat start for stats
-    markChatStart(userId);
-    markChatStart(partnerId);
-    incrementChatCount(userId);
-    incrementChatCount(partnerId);
+    return true;
+}
 
-    console.log(`Reconnected: ${userId} <-> ${partnerId}`);
+/**
+ * Widen a waiting user's filters after they accepted the offer
+ * @param {string} userId - Telegram user ID
+ * @param {'language'|'gender'} step - Which filter to widen
+ * @returns {Promise<{ success: boolean }>}
+ */
+export async function relaxFilters(userId, step) {
+    const entry = await store.getQueueEntry(userId);
+    if (!entry || !getRelaxedFilters(step)) {
+        return { success: false };
+    }
 
-    return { success: true };
+    return { success: await widenSearch(entry, step) };
+}
+
+/**
+ * Change a waiting user's match profile without re-queueing them
+ * @param {object} profile - Fields to replace, e.g. { blocked } (see getMatchProfile)
+ * @returns {Promise<boolean>} false if the user is not waiting
+ */
+export async function updateProfile(userId, profile) {
+    const entry = await store.getQueueEntry(userId);
+    if (!entry) return false;
+
+    return store.updateQueueEntry({ ...entry, ...profile });
+}
+
+/**
+ * Offer (or apply, with auto-widen) the next due filter relaxation
+ * to every user who has been waiting too long, and retry matching users
+ * who may now pair up (cooldown over or grace period reached)
+ */
+async function checkWaitingUsers() {
+    const now = Date.now();
+    const queue = await store.getQueue();
+
+    for (const entry of queue) {
+        if (now - entry.joinedAt >= COOLDOWN_CONFIG.graceMs) {
+            const partner = await tryMatch(entry, { userQueued: true });
+            if (partner) {
+                announceMatch(entry, partner);
+                continue;
+            }
+        }
+
+        for (const step of getDueRelaxations(entry, now, RELAX_CONFIG)) {
+            // Each step is offered once per search, even with several instances
+            if (!await store.markRelaxOffered(entry.userId, entry.joinedAt, step)) {
+                continue;
+            }
+
+            if (entry.autoWiden) {
+                await widenSearch(entry, step);
+            } else {
+                sendResponse({
+                    type: 'relax_offer',
+                    userId: entry.userId,
+                    chatId: entry.chatId,
+                    step
+                });
+            }
+            break;
+        }
+    }
 }
 
 /**
  * Get current status
  */
-export function getStatus() {
-    return {
-        queueSize: waitingQueue.length,
-        activePairs: activePairs.size / 2,
-        users: userChatIds.size
-    };
+export async function getStatus() {
+    return store.getCounts();
+}
+
+/**
+ * Summarize who is waiting (for moderators)
+ */
+export async function getQueueSummary() {
+    return summarizeQueue(await store.getQueue());
+}
+
+/**
+ * Start the queue scheduler - state itself lives in Redis or this process
+ */
+export async function init() {
+    console.log(isRedisAvailable()
+        ? 'Using local matchmaking with shared Redis state'
+        : 'Using in-memory matchmaking');
+
+    if (!queueCheckTimer) {
+        queueCheckTimer = setInterval(() => {
+            checkWaitingUsers().catch(error => {
+                console.error('Queue check failed:', error);
+            });
+        }, QUEUE_CHECK_INTERVAL_MS);
+    }
 }
 
 export default {
+    name: 'local',
+    init,
     setResponseCallback,
     handleJoin,
     handleLeave,
@@ -439,6 +520,8 @@ export default {
     isInChat,
     isInQueue,
     reconnectPair,
-    getStatus
+    relaxFilters,
+    updateProfile,
+    getStatus,
+    getQueueSummary
 };
-
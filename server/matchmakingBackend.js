@@ -0,0 +1,49 @@
+/**
+ * Matchmaking backend selection
+ * commands.js and server.js talk to this module only.
+ *
+ * MATCHMAKING_BACKEND=local     - matchmaking.js, state in this process (default)
+ * MATCHMAKING_BACKEND=partykit  - partyMatchmaking.js, state in the shared PartyKit room
+ */
+
+import localBackend from './matchmaking.js';
+import partyBackend from './partyMatchmaking.js';
+
+/**
+ * Every backend exposes the same async interface:
+ *
+ * @typedef {object} MatchmakingBackend
+ * @property {string} name
+ * @property {() => Promise<void>} init
+ * @property {(callback: function) => void} setResponseCallback
+ * @property {(userId: string, chatId: string, options?: object) => Promise<void>} handleJoin
+ * @property {(userId: string, options?: { reason?: string }) => Promise<void>} handleLeave
+ * @property {(userId: string, chatId: string, options?: object) => Promise<void>} handleNext
+ * @property {(userId: string, messageData: object) => Promise<void>} handleMessage
+ * @property {(userId: string) => Promise<void>} handleTyping
+ * @property {(userId: string) => Promise<{ partnerId: string, partnerChatId: string }|null>} getPartner
+ * @property {(userId: string) => Promise<boolean>} isInChat
+ * @property {(userId: string) => Promise<boolean>} isInQueue
+ * @property {(userId: string, partnerId: string, chatId: string, partnerChatId: string) => Promise<{ success: boolean, reason?: string }>} reconnectPair
+ * @property {(userId: string, step: 'language'|'gender') => Promise<{ success: boolean }>} relaxFilters
+ * @property {(userId: string, profile: object) => Promise<boolean>} updateProfile
+ * @property {() => Promise<object>} getStatus
+ * @property {() => Promise<object|null>} getQueueSummary - see summarizeQueue in matchRules.js
+ */
+
+const backends = {
+    local: localBackend,
+    memory: localBackend, // alias
+    partykit: partyBackend
+};
+
+const requested = (process.env.MATCHMAKING_BACKEND || 'local').toLowerCase();
+
+if (!backends[requested]) {
+    console.warn(`Unknown MATCHMAKING_BACKEND "${requested}" - falling back to local`);
+}
+
+/** @type {MatchmakingBackend} */
+const matchmaking = backends[requested] || localBackend;
+
+export default matchmaking;
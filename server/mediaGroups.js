@@ -0,0 +1,91 @@
+/**
+ * Album buffering
+ * Telegram delivers an album as separate messages that share a media_group_id.
+ * Items are collected here until the album has been quiet for a short window,
+ * then relayed together (in message order) so the partner gets one album
+ * instead of loose, possibly shuffled, photos.
+ */
+
+import { runForUser } from './userQueue.js';
+
+const ALBUM_WINDOW_MS = 1000;   // Wait this long after the last item before relaying
+const MAX_ALBUM_ITEMS = 10;     // Telegram's album limit
+
+// `${userId}:${mediaGroupId}` -> { userId, items: Array<object>, replyToMessageId, onReady, timer }
+const pending = new Map();
+
+/**
+ * Whether an album from this user is already being collected
+ * Later items of an album do not count against the rate limit again.
+ */
+export function isMediaGroupPending(userId, mediaGroupId) {
+    return pending.has(`${userId}:${mediaGroupId}`);
+}
+
+/**
+ * Add one album item; the album is handed to onReady once complete
+ * @param {string} userId - Sender
+ * @param {string} mediaGroupId - Telegram media_group_id
+ * @param {object} item - { mediaType, fileId, caption, messageId, replyToMessageId }
+ * @param {(items: Array<object>, replyToMessageId: number|undefined) => Promise<void>} onReady
+ * @returns {Promise<void>|undefined} Settles once the album is relayed, if this item completed it
+ */
+export function addMediaGroupItem(userId, mediaGroupId, item, onReady) {
+    userId = String(userId);
+    const key = `${userId}:${mediaGroupId}`;
+    const group = pending.get(key) || { userId, items: [], onReady };
+
+    group.items.push(item);
+    // Only the first item of an album carries the reply
+    group.replyToMessageId ??= item.replyToMessageId;
+
+    clearTimeout(group.timer);
+    pending.set(key, group);
+
+    if (group.items.length >= MAX_ALBUM_ITEMS) {
+        // Already in this user's queue, so relay directly
+        return releaseGroup(key);
+    }
+
+    // Relayed through the user's queue so it stays in order with their other messages
+    group.timer = setTimeout(() => {
+        runForUser(userId, () => releaseGroup(key));
+    }, ALBUM_WINDOW_MS);
+}
+
+/**
+ * Relay every album a user is still collecting
+ * Called before relaying anything else from them, so nothing overtakes an album.
+ */
+export async function flushMediaGroups(userId) {
+    userId = String(userId);
+    for (const [key, group] of pending.entries()) {
+        if (group.userId === userId) {
+            await releaseGroup(key);
+        }
+    }
+}
+
+/**
+ * Stop collecting an album and hand it on, sorted by message ID
+ */
+async function releaseGroup(key) {
+    const group = pending.get(key);
+    if (!group) return;
+
+    clearTimeout(group.timer);
+    pending.delete(key);
+
+    const items = group.items.sort((a, b) => a.messageId - b.messageId);
+    try {
+        await group.onReady(items, group.replyToMessageId);
+    } catch (error) {
+        console.error(`Failed to relay album from user ${group.userId}:`, error);
+    }
+}
+
+export default {
+    isMediaGroupPending,
+    addMediaGroupItem,
+    flushMediaGroups
+};
@@ -26,6 +26,7 @@ export const BUTTONS = {
     NEXT_PARTNER: '⏭️ Next Partner',
     STOP_CHAT: '🛑 Stop Chat',
     REPORT: '⚠️ Report',
+    BLOCK: '🚫 Block',
 
     // Settings
     TYPING_ON: '✅ Typing Indicator: ON',
@@ -100,7 +101,7 @@ export const languageSelectKeyboard = {
 export const inChatKeyboard = {
     keyboard: [
         [{ text: BUTTONS.NEXT_PARTNER }, { text: BUTTONS.STOP_CHAT }],
-        [{ text: BUTTONS.REPORT }]
+        [{ text: BUTTONS.REPORT }, { text: BUTTONS.BLOCK }]
     ],
     resize_keyboard: true,
     one_time_keyboard: false
@@ -182,6 +183,15 @@ export function getSettingsInlineKeyboard(settings = {}) {
     // Age label
     const ageLabel = currentAge ? `🎂 Age: ${currentAge}` : '🎂 Set Age';
 
+    // Partner age range label
+    const ageRangeLabel = settings.ageRange
+        ? `🎯 Partner Age: ${settings.ageRange.min}-${settings.ageRange.max}`
+        : '🎯 Partner Age: Any';
+
+    // Interests label
+    const interestCount = (settings.interests || []).length;
+    const interestsLabel = interestCount ? `🏷️ Interests (${interestCount})` : '🏷️ Set Interests';
+
     return {
         inline_keyboard: [
             // Gender selection row
@@ -200,13 +210,136 @@ export function getSettingsInlineKeyboard(settings = {}) {
                 { text: langLabels.telugu, callback_data: 'set_lang_telugu' },
                 { text: langLabels.any, callback_data: 'set_lang_any' }
             ],
-            // Age setting row
-            [{ text: ageLabel, callback_data: 'set_age' }],
+            // Age and interests row
+            [
+                { text: ageLabel, callback_data: 'set_age' },
+                { text: interestsLabel, callback_data: 'set_interests' }
+            ],
+            // Partner age range
+            [{ text: ageRangeLabel, callback_data: 'set_age_range' }],
             // Typing indicator toggle
             [{
                 text: typingEnabled ? '✅ Typing Indicator: ON' : '❌ Typing Indicator: OFF',
                 callback_data: 'toggle_typing'
-            }]
+            }],
+            // Partner edits toggle
+            [{
+                text: settings.showEdits !== false ? '✅ Show Partner Edits: ON' : '❌ Show Partner Edits: OFF',
+                callback_data: 'toggle_show_edits'
+            }],
+            // Partner reactions toggle
+            [{
+                text: settings.showReactions !== false ? '✅ Show Partner Reactions: ON' : '❌ Show Partner Reactions: OFF',
+                callback_data: 'toggle_show_reactions'
+            }],
+            // Optional message types (sub-menu)
+            [{ text: '📎 Message Types', callback_data: 'message_types' }],
+            // Leak guard mode (cycles warn -> mask -> block)
+            [{
+                text: `🛡️ Leak Guard: ${LEAK_GUARD_MODE_LABELS[settings.leakGuard] || LEAK_GUARD_MODE_LABELS.warn}`,
+                callback_data: 'cycle_leak_guard'
+            }],
+            // Auto-widen search toggle
+            [{
+                text: settings.autoWiden ? '✅ Auto-widen Search: ON' : '❌ Auto-widen Search: OFF',
+                callback_data: 'toggle_auto_widen'
+            }],
+            // Block list (only offered when there is something to clear)
+            ...(settings.blockedCount ? [[{
+                text: `🚫 Unblock All (${settings.blockedCount})`,
+                callback_data: 'clear_blocks'
+            }]] : [])
+        ]
+    };
+}
+
+/**
+ * Generate INLINE keyboard with report reasons
+ * @param {boolean} includeEvidence - Whether recent messages will be attached
+ * @returns {object} Inline keyboard object
+ */
+export function getReportReasonsInlineKeyboard(includeEvidence = true) {
+    return {
+        inline_keyboard: [
+            [
+                { text: '📢 Spam', callback_data: 'report_spam' },
+                { text: '😡 Harassment', callback_data: 'report_harassment' }
+            ],
+            [
+                { text: '🔞 Sexual Content', callback_data: 'report_sexual' },
+                { text: '🧒 Underage', callback_data: 'report_underage' }
+            ],
+            [
+                { text: '💸 Scam', callback_data: 'report_scam' },
+                { text: '❓ Other', callback_data: 'report_other' }
+            ],
+            [{
+                text: includeEvidence ? '✅ Attach Recent Messages: ON' : '❌ Attach Recent Messages: OFF',
+                callback_data: 'report_toggle_evidence'
+            }],
+            [{ text: '✖️ Cancel', callback_data: 'report_cancel' }]
+        ]
+    };
+}
+
+// Labels for the optional message types (see OPTIONAL_MESSAGE_TYPES in userState.js)
+export const MESSAGE_TYPE_LABELS = {
+    audio: '🎵 Audio files',
+    dice: '🎲 Dice',
+    poll: '📊 Polls',
+    location: '📍 Locations',
+    contact: '👤 Contact cards'
+};
+
+/**
+ * Generate INLINE keyboard to choose which message types partners may send
+ * @param {object} allowed - type -> boolean
+ * @returns {object} Inline keyboard object
+ */
+export function getMessageTypesInlineKeyboard(allowed) {
+    return {
+        inline_keyboard: [
+            ...Object.entries(MESSAGE_TYPE_LABELS).map(([type, label]) => [{
+                text: `${allowed[type] ? '✅' : '❌'} ${label}`,
+                callback_data: `toggle_type_${type}`
+            }]),
+            [{ text: '⬅️ Back to Settings', callback_data: 'open_settings' }]
+        ]
+    };
+}
+
+// Labels for the leak guard modes (see LEAK_GUARD_MODES in userState.js)
+export const LEAK_GUARD_MODE_LABELS = {
+    warn: '⚠️ Ask First',
+    mask: '🙈 Hide Details',
+    block: '⛔ Block Message'
+};
+
+/**
+ * Generate INLINE keyboard for a message the leak guard is holding back
+ * @returns {object} Inline keyboard object
+ */
+export function getLeakWarningInlineKeyboard() {
+    return {
+        inline_keyboard: [
+            [
+                { text: '📤 Send Anyway', callback_data: 'leak_send' },
+                { text: '✖️ Don\'t Send', callback_data: 'leak_cancel' }
+            ]
+        ]
+    };
+}
+
+/**
+ * Generate INLINE keyboard offering to widen a long-running search
+ * @param {'language'|'gender'} step - Which filter to widen
+ * @returns {object} Inline keyboard object
+ */
+export function getRelaxOfferInlineKeyboard(step) {
+    const label = step === 'language' ? '🌐 Search any language' : '🎲 Match with anyone';
+    return {
+        inline_keyboard: [
+            [{ text: label, callback_data: `relax_${step}` }]
         ]
     };
 }
@@ -249,6 +382,12 @@ export default {
     skippedKeyboard,
     stoppedKeyboard,
     getSettingsInlineKeyboard,
+    getRelaxOfferInlineKeyboard,
+    getReportReasonsInlineKeyboard,
+    MESSAGE_TYPE_LABELS,
+    getMessageTypesInlineKeyboard,
+    LEAK_GUARD_MODE_LABELS,
+    getLeakWarningInlineKeyboard,
     removeKeyboard,
     isButton,
     isAnyButton
@@ -0,0 +1,150 @@
+/**
+ * Message ID map
+ * Each relayed message exists twice: once in the sender's chat and once (as
+ * the bot's copy) in the partner's chat. This remembers both IDs for the
+ * life of a chat, so a reply (or edit, or unsend) in one chat can reach the
+ * matching message in the other. Kept in Redis when it is configured, so
+ * every instance (and a restarted one) can find them; in memory otherwise.
+ * Forgotten when the chat ends.
+ */
+
+import {
+    isRedisAvailable,
+    saveMessagePairToRedis,
+    getMessagePairFromRedis,
+    deleteMessagePairFromRedis,
+    clearMessageMapInRedis
+} from './redis.js';
+
+const MAX_IDS_PER_USER = 1000;            // Oldest mappings are dropped first (memory only)
+const IDLE_TTL = 24 * 60 * 60 * 1000;     // Safety net if a chat end is missed
+
+// userId -> { partnerId, ids: Map<messageId in own chat, { messageId, sentAt, own }>, updatedAt }
+// messageId is the matching message in the partner's chat, own is true when the user sent it
+const maps = new Map();
+
+/**
+ * Get a user's map, starting a fresh one if it belonged to an earlier partner
+ */
+function getMap(userId, partnerId) {
+    let map = maps.get(userId);
+    if (!map || map.partnerId !== partnerId) {
+        map = { partnerId, ids: new Map() };
+        maps.set(userId, map);
+    }
+    map.updatedAt = Date.now();
+    return map;
+}
+
+/**
+ * Add one mapping, dropping the oldest if the map is full
+ */
+function addId(map, messageId, entry) {
+    map.ids.set(messageId, entry);
+    if (map.ids.size > MAX_IDS_PER_USER) {
+        map.ids.delete(map.ids.keys().next().value);
+    }
+}
+
+/**
+ * Remember that a message was relayed
+ * @param {string} fromUserId - Sender
+ * @param {number} fromMessageId - Message ID in the sender's chat
+ * @param {string} toUserId - Partner
+ * @param {number} toMessageId - ID of the bot's copy in the partner's chat
+ */
+export async function recordMessagePair(fromUserId, fromMessageId, toUserId, toMessageId) {
+    if (!fromMessageId || !toMessageId) return;
+    fromUserId = String(fromUserId);
+    toUserId = String(toUserId);
+    const sentAt = Date.now();
+
+    if (isRedisAvailable()) {
+        await saveMessagePairToRedis({ fromUserId, fromMessageId, toUserId, toMessageId, sentAt }, IDLE_TTL);
+        return;
+    }
+
+    addId(getMap(fromUserId, toUserId), fromMessageId, { messageId: toMessageId, sentAt, own: true });
+    addId(getMap(toUserId, fromUserId), toMessageId, { messageId: fromMessageId, sentAt, own: false });
+}
+
+/**
+ * Look up the other side of a message in a user's chat
+ * @param {string} partnerId - Only match messages exchanged with this partner
+ * @returns {Promise<{ messageId: number, sentAt: number, own: boolean }|null>}
+ *   messageId is in the partner's chat; own is true if this user sent it
+ */
+export async function getPartnerMessage(userId, messageId, partnerId) {
+    if (isRedisAvailable()) {
+        return getMessagePairFromRedis(String(userId), String(partnerId), messageId);
+    }
+
+    const map = maps.get(String(userId));
+    if (!map || map.partnerId !== String(partnerId)) return null;
+    return map.ids.get(messageId) ?? null;
+}
+
+/**
+ * Find the partner's copy of a message in a user's chat
+ * @param {string} partnerId - Only match messages exchanged with this partner
+ * @returns {Promise<number|null>} Message ID in the partner's chat, if known
+ */
+export async function getPartnerMessageId(userId, messageId, partnerId) {
+    return (await getPartnerMessage(userId, messageId, partnerId))?.messageId ?? null;
+}
+
+/**
+ * Forget one relayed message on both sides (it was deleted)
+ */
+export async function forgetMessagePair(userId, messageId, partnerId) {
+    const entry = await getPartnerMessage(userId, messageId, partnerId);
+    if (!entry) return;
+
+    if (isRedisAvailable()) {
+        await deleteMessagePairFromRedis(String(userId), String(partnerId), messageId, entry.messageId);
+        return;
+    }
+
+    maps.get(String(userId)).ids.delete(messageId);
+    maps.get(String(partnerId))?.ids.delete(entry.messageId);
+}
+
+/**
+ * Forget both sides of a chat (chat ended)
+ */
+export async function clearMessageMap(userId, partnerId) {
+    if (isRedisAvailable()) {
+        await clearMessageMapInRedis(String(userId), String(partnerId));
+        return;
+    }
+
+    for (const [ownerId, otherId] of [[String(userId), String(partnerId)], [String(partnerId), String(userId)]]) {
+        if (maps.get(ownerId)?.partnerId === otherId) {
+            maps.delete(ownerId);
+        }
+    }
+}
+
+/**
+ * Drop maps that have not been used for a long time (Redis keys expire by themselves)
+ */
+export function cleanup() {
+    const now = Date.now();
+    for (const [userId, map] of maps.entries()) {
+        if (now - map.updatedAt > IDLE_TTL) {
+            maps.delete(userId);
+        }
+    }
+}
+
+// Run cleanup every hour
+setInterval(cleanup, 60 * 60 * 1000);
+
+export default {
+    recordMessagePair,
+    getPartnerMessage,
+    getPartnerMessageId,
+    forgetMessagePair,
+    clearMessageMap,
+    cleanup
+};
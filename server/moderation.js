@@ -0,0 +1,184 @@
+/**
+ * Moderation store
+ * Report reasons, report records and evidence snapshots for moderators.
+ * Records live in Redis when it is configured, in memory otherwise.
+ * Evidence is only ever kept for a short time.
+ */
+
+import {
+    isRedisAvailable,
+    saveReportToRedis,
+    getRecentReportsFromRedis,
+    getReportEvidenceFromRedis
+} from './redis.js';
+
+// Reasons a user can pick when reporting, in display order
+export const REPORT_REASONS = ['spam', 'harassment', 'sexual', 'underage', 'scam', 'other'];
+
+// Rolling buffer of relayed messages, per sender -> recipient
+const SNAPSHOT_SIZE = 5;                     // Messages kept per direction
+const BUFFER_TTL = 30 * 60 * 1000;           // Idle buffers are dropped after 30 minutes
+
+// Stored reports
+const REPORT_TTL = 7 * 24 * 60 * 60 * 1000;  // Report records: 7 days
+const EVIDENCE_TTL = 24 * 60 * 60 * 1000;    // Evidence snapshots: 24 hours
+const MAX_MEMORY_REPORTS = 500;
+
+// In-memory storage
+const recentMessages = new Map(); // `${fromUserId}_${toUserId}` -> { messages, updatedAt }
+const reports = [];               // Newest last: { id, reportedId, reporterId, reason, at, hasEvidence }
+const evidence = new Map();       // reportId -> { messages, expiresAt }
+
+// ============ Relayed Message Buffer ============
+
+/**
+ * Turn a relayed message into an evidence entry
+ * @param {object} messageData - { mediaType, text, caption, fileId }
+ */
+export function toEvidence(messageData) {
+    const { mediaType, text, caption, fileId } = messageData;
+    return {
+        type: mediaType || 'text',
+        text: text || caption || null,
+        fileId: fileId || null,
+        at: Date.now()
+    };
+}
+
+/**
+ * Remember a message relayed from one user to their partner
+ * Only the last few per direction are kept, in memory, on this instance.
+ * @param {object} messageData - { mediaType, text, caption, fileId }
+ */
+export function recordRelayedMessage(fromUserId, toUserId, messageData) {
+    const key = `${fromUserId}_${toUserId}`;
+    const buffer = recentMessages.get(key) || { messages: [] };
+
+    buffer.messages.push(toEvidence(messageData));
+    buffer.messages = buffer.messages.slice(-SNAPSHOT_SIZE);
+    buffer.updatedAt = Date.now();
+
+    recentMessages.set(key, buffer);
+}
+
+/**
+ * Get the last messages one user relayed to another
+ * @returns {Array<object>} Oldest first
+ */
+export function getRecentMessages(fromUserId, toUserId) {
+    return [...(recentMessages.get(`${fromUserId}_${toUserId}`)?.messages || [])];
+}
+
+/**
+ * Forget the buffered messages between two users (chat ended)
+ */
+export function clearRecentMessages(userId1, userId2) {
+    recentMessages.delete(`${userId1}_${userId2}`);
+    recentMessages.delete(`${userId2}_${userId1}`);
+}
+
+// ============ Reports ============
+
+/**
+ * Check if a report reason is one we offer
+ */
+export function isValidReportReason(reason) {
+    return REPORT_REASONS.includes(reason);
+}
+
+/**
+ * Save a report record and its evidence snapshot
+ * @param {object} report - { reportedId, reporterId, reason }
+ * @param {Array<object>} snapshot - Messages from getRecentMessages (may be empty)
+ * @returns {Promise<object>} The stored record
+ */
+export async function saveReport(report, snapshot = []) {
+    const record = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        reportedId: String(report.reportedId),
+        reporterId: String(report.reporterId),
+        reason: isValidReportReason(report.reason) ? report.reason : 'other',
+        at: Date.now(),
+        hasEvidence: snapshot.length > 0
+    };
+
+    if (isRedisAvailable()) {
+        await saveReportToRedis(record, snapshot, { reportTtlMs: REPORT_TTL, evidenceTtlMs: EVIDENCE_TTL });
+    } else {
+        reports.push(record);
+        if (reports.length > MAX_MEMORY_REPORTS) reports.shift();
+        if (record.hasEvidence) {
+            evidence.set(record.id, { messages: snapshot, expiresAt: record.at + EVIDENCE_TTL });
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Get the most recent reports, newest first
+ * @param {object} [options] - { limit, reportedId } to filter by reported user
+ * @returns {Promise<Array<object>>}
+ */
+export async function getRecentReports({ limit = 10, reportedId = null } = {}) {
+    if (isRedisAvailable()) {
+        return getRecentReportsFromRedis({ limit, reportedId, reportTtlMs: REPORT_TTL });
+    }
+
+    const cutoff = Date.now() - REPORT_TTL;
+    return reports
+        .filter(r => r.at > cutoff && (!reportedId || r.reportedId === String(reportedId)))
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Get the evidence snapshot saved with a report
+ * @returns {Promise<Array<object>|null>} null once it has expired
+ */
+export async function getReportEvidence(reportId) {
+    if (isRedisAvailable()) {
+        return getReportEvidenceFromRedis(reportId);
+    }
+
+    const entry = evidence.get(reportId);
+    if (!entry || Date.now() > entry.expiresAt) return null;
+    return entry.messages;
+}
+
+// ============ Cleanup ============
+
+/**
+ * Drop idle message buffers and expired evidence
+ */
+export function cleanup() {
+    const now = Date.now();
+
+    for (const [key, buffer] of recentMessages.entries()) {
+        if (now - buffer.updatedAt > BUFFER_TTL) {
+            recentMessages.delete(key);
+        }
+    }
+
+    for (const [reportId, entry] of evidence.entries()) {
+        if (now > entry.expiresAt) {
+            evidence.delete(reportId);
+        }
+    }
+}
+
+// Run cleanup every 5 minutes
+setInterval(cleanup, 5 * 60 * 1000);
+
+export default {
+    REPORT_REASONS,
+    toEvidence,
+    recordRelayedMessage,
+    getRecentMessages,
+    clearRecentMessages,
+    isValidReportReason,
+    saveReport,
+    getRecentReports,
+    getReportEvidence,
+    cleanup
+};
@@ -10,12 +10,17 @@ const PARTYKIT_HOST = process.env.PARTYKIT_HOST || 'localhost:1999';
 const ROOM_NAME = 'matchmaking';
 const RECONNECT_DELAY_MS = 3000;
 const MAX_RECONNECT_ATTEMPTS = 10;
+const REQUEST_TIMEOUT_MS = 5000;
 
 let ws = null;
 let reconnectAttempts = 0;
 let messageHandler = null;
 let isConnecting = false;
 
+// Requests awaiting a reply from the room: requestId -> { resolve, reject, timer }
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
 /**
  * Build WebSocket URL for PartyKit
  * @returns {string} WebSocket URL
@@ -58,6 +63,12 @@ export function connect(onMessage) {
                     const message = JSON.parse(data.toString());
                     console.log('Received from PartyKit:', message.type);
 
+                    // Replies to request() go to the waiting caller, not the handler
+                    if (message.type === 'response') {
+                        settleRequest(message);
+                        return;
+                    }
+
                     if (messageHandler) {
                         messageHandler(message);
                     }
@@ -70,6 +81,7 @@ export function connect(onMessage) {
                 console.log('Disconnected from PartyKit');
                 isConnecting = false;
                 ws = null;
+                rejectPendingRequests(new Error('PartyKit connection closed'));
                 attemptReconnect();
             });
 
@@ -129,27 +141,79 @@ export function send(message) {
     }
 }
 
+/**
+ * Send a message to PartyKit and wait for the room's reply
+ * @param {string} type - Request type understood by the room
+ * @param {object} payload - Request fields
+ * @returns {Promise<any>} - The `result` field of the room's response
+ */
+export function request(type, payload = {}) {
+    const requestId = nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            pendingRequests.delete(requestId);
+            reject(new Error(`PartyKit request timed out: ${type}`));
+        }, REQUEST_TIMEOUT_MS);
+
+        pendingRequests.set(requestId, { resolve, reject, timer });
+
+        if (!send({ type, requestId, ...payload })) {
+            clearTimeout(timer);
+            pendingRequests.delete(requestId);
+            reject(new Error('PartyKit not connected'));
+        }
+    });
+}
+
+/**
+ * Resolve a pending request with the room's response
+ */
+function settleRequest(message) {
+    const pending = pendingRequests.get(message.requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingRequests.delete(message.requestId);
+    pending.resolve(message.result);
+}
+
+/**
+ * Fail every pending request (e.g. when the socket closes)
+ */
+function rejectPendingRequests(error) {
+    for (const [requestId, pending] of pendingRequests.entries()) {
+        clearTimeout(pending.timer);
+        pending.reject(error);
+        pendingRequests.delete(requestId);
+    }
+}
+
 /**
  * Request to join the matchmaking queue
- * @param {string} oderId - Telegram user ID
+ * @param {string} userId - Telegram user ID
  * @param {string} chatId - Telegram chat ID (for sending responses)
+ * @param {object} options - Search filters and match profile for the queue entry
  */
-export function joinQueue(userId, chatId) {
+export function joinQueue(userId, chatId, options = {}) {
     return send({
         type: 'join',
         userId,
-        chatId
+        chatId,
+        ...options
     });
 }
 
 /**
  * Request to leave the queue or current chat
  * @param {string} userId - Telegram user ID
+ * @param {string} [reason] - Passed on to the partner (e.g. 'unreachable')
  */
-export function leave(userId) {
+export function leave(userId, reason = null) {
     return send({
         type: 'leave',
-        userId
+        userId,
+        reason
     });
 }
 
@@ -157,25 +221,40 @@ export function leave(userId) {
  * Request to skip current partner and find new one
  * @param {string} userId - Telegram user ID
  * @param {string} chatId - Telegram chat ID
+ * @param {object} options - Matching filters to rejoin the queue with
  */
-export function next(userId, chatId) {
+export function next(userId, chatId, options = {}) {
     return send({
         type: 'next',
         userId,
-        chatId
+        chatId,
+        ...options
     });
 }
 
 /**
  * Send a message to partner
  * @param {string} userId - Sender's Telegram user ID
- * @param {string} text - Message text
+ * @param {object} messageData - { text, mediaType, fileId, caption, payload, entities, messageId, replyToMessageId, replyTo }
+ *   or, for an album, { mediaType: 'media_group', items: [messageData...], messageId, replyToMessageId, replyTo }
+ *   replyTo is the partner's copy of the message being replied to, if known
  */
-export function sendToPartner(userId, text) {
+export function sendToPartner(userId, messageData) {
     return send({
         type: 'message',
         userId,
-        text
+        ...messageData
+    });
+}
+
+/**
+ * Tell the partner that this user is typing
+ * @param {string} userId - Telegram user ID
+ */
+export function typing(userId) {
+    return send({
+        type: 'typing',
+        userId
     });
 }
 
@@ -200,10 +279,12 @@ export function disconnect() {
 export default {
     connect,
     send,
+    request,
     joinQueue,
     leave,
     next,
     sendToPartner,
+    typing,
     isConnected,
     disconnect
 };
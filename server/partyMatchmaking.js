@@ -0,0 +1,271 @@
+/**
+ * PartyKit matchmaking backend
+ * Queue and pairs live in the shared PartyKit room (party/room.js),
+ * so several Express instances can match users against each other.
+ * Implements the matchmaking backend interface (see matchmakingBackend.js)
+ */
+
+import partyClient from './partyClient.js';
+import {
+    setUserState,
+    clearUserState,
+    USER_STATES,
+    incrementChatCount,
+    incrementMessageCount,
+    markChatStart,
+    endChatAndRecordDuration,
+    clearSessionReports
+} from './userState.js';
+import { getMatchConfig } from './matchRules.js';
+
+// Callback to send responses (set by commands.js)
+let responseCallback = null;
+
+// Cooldown and relaxation settings, sent with every join so the room matches
+// like the local backend would
+const MATCH_CONFIG = getMatchConfig(process.env);
+
+/**
+ * Set the callback function for sending responses
+ */
+export function setResponseCallback(callback) {
+    responseCallback = callback;
+}
+
+/**
+ * Send a response back to the server
+ */
+function sendResponse(message) {
+    if (responseCallback) {
+        responseCallback(message);
+    }
+}
+
+/**
+ * Mirror pair start in local stats/state
+ */
+function recordPairStart(userId, partnerId) {
+    setUserState(userId, USER_STATES.IN_CHAT);
+    setUserState(partnerId, USER_STATES.IN_CHAT);
+    markChatStart(userId);
+    markChatStart(partnerId);
+    incrementChatCount(userId);
+    incrementChatCount(partnerId);
+}
+
+/**
+ * Handle an event pushed by the room, then pass it on to commands.js
+ */
+function handleRoomMessage(message) {
+    switch (message.type) {
+        case 'matched':
+            recordPairStart(message.userId, message.partnerId);
+            break;
+
+        case 'partner_left':
+            // userId is the one being notified, partnerId the one who left
+            endChatAndRecordDuration(message.userId);
+            if (message.partnerId) {
+                clearSessionReports(message.userId, message.partnerId);
+            }
+            setUserState(message.userId, USER_STATES.IDLE);
+            break;
+
+        case 'forward_message':
+            incrementMessageCount(message.fromUserId);
+            break;
+    }
+
+    sendResponse(message);
+}
+
+/**
+ * Connect to the PartyKit room
+ */
+export async function init() {
+    console.log('Using PartyKit matchmaking');
+    try {
+        await partyClient.connect(handleRoomMessage);
+    } catch (error) {
+        // partyClient keeps retrying in the background
+        console.error('Initial PartyKit connection failed:', error.message);
+    }
+}
+
+/**
+ * Ask the room a question, falling back to a default if it is unreachable
+ */
+async function query(type, payload, fallback) {
+    try {
+        return await partyClient.request(type, payload);
+    } catch (error) {
+        console.error(`PartyKit ${type} failed:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * Tell the user something went wrong when the room is unreachable
+ */
+function reportSendFailure(userId, chatId) {
+    sendResponse({
+        type: 'error',
+        userId,
+        chatId
+    });
+}
+
+/**
+ * Handle user joining the matchmaking queue
+ * @param {string} userId - Telegram user ID
+ * @param {string} chatId - Telegram chat ID
+ * @param {object} options - { gender, preference, language } search filters plus
+ *   the user's match profile ({ interests }, see getMatchProfile)
+ */
+export async function handleJoin(userId, chatId, options = {}) {
+    const { gender, preference, language } = options;
+
+    setUserState(userId, USER_STATES.SEARCHING, { gender, preference, language });
+
+    if (!partyClient.joinQueue(userId, chatId, { ...options, config: MATCH_CONFIG })) {
+        clearUserState(userId);
+        reportSendFailure(userId, chatId);
+    }
+}
+
+/**
+ * Handle user leaving the chat or queue
+ * @param {object} options - { reason } told to the partner, e.g. 'unreachable'
+ */
+export async function handleLeave(userId, options = {}) {
+    // The room notifies the partner; record our side of the chat here
+    endChatAndRecordDuration(userId);
+    partyClient.leave(userId, options.reason);
+    clearUserState(userId);
+}
+
+/**
+ * Handle user skipping to next partner
+ * @param {object} options - Matching options to rejoin the queue with
+ */
+export async function handleNext(userId, chatId, options = {}) {
+    endChatAndRecordDuration(userId);
+
+    if (!partyClient.next(userId, chatId, { ...options, config: MATCH_CONFIG })) {
+        reportSendFailure(userId, chatId);
+    }
+}
+
+/**
+ * Handle forwarding message/media to partner
+ * @param {string} userId - Sender user ID
+ * @param {object} messageData - { text, mediaType, fileId, caption, payload, entities, messageId, replyToMessageId, replyTo }
+ *   or, for an album, { mediaType: 'media_group', items: [messageData...], messageId, replyToMessageId, replyTo }
+ *   replyTo is the partner's copy of the message being replied to, if known
+ */
+export async function handleMessage(userId, messageData) {
+    if (!partyClient.sendToPartner(userId, messageData)) {
+        console.error(`Message from ${userId} dropped - PartyKit not connected`);
+    }
+}
+
+/**
+ * Handle typing indicator
+ * @param {string} userId - User who is typing
+ */
+export async function handleTyping(userId) {
+    partyClient.typing(userId);
+}
+
+/**
+ * Get partner info for a user
+ */
+export async function getPartner(userId) {
+    return query('get_partner', { userId }, null);
+}
+
+/**
+ * Check if user is in a chat
+ */
+export async function isInChat(userId) {
+    return (await getPartner(userId)) !== null;
+}
+
+/**
+ * Check if user is in queue
+ */
+export async function isInQueue(userId) {
+    return query('is_in_queue', { userId }, false);
+}
+
+/**
+ * Reconnect two users who were previously paired
+ * @returns {Promise<{ success: boolean, reason?: string }>}
+ */
+export async function reconnectPair(userId, partnerId, chatId, partnerChatId) {
+    const result = await query(
+        'reconnect',
+        { userId, partnerId, chatId, partnerChatId },
+        { success: false, reason: 'unavailable' }
+    );
+
+    if (result.success) {
+        recordPairStart(userId, partnerId);
+        console.log(`Reconnected: ${userId} <-> ${partnerId}`);
+    }
+
+    return result;
+}
+
+/**
+ * Widen a waiting user's filters after they accepted the offer
+ * @returns {Promise<{ success: boolean }>}
+ */
+export async function relaxFilters(userId, step) {
+    return query('relax', { userId, step }, { success: false });
+}
+
+/**
+ * Change a waiting user's match profile without re-queueing them
+ * @returns {Promise<boolean>} false if the user is not waiting
+ */
+export async function updateProfile(userId, profile) {
+    return (await query('update_profile', { userId, profile }, { success: false })).success;
+}
+
+/**
+ * Get current status
+ */
+export async function getStatus() {
+    const status = await query('status', {}, null);
+    return {
+        connected: Boolean(partyClient.isConnected()),
+        ...(status || {})
+    };
+}
+
+/**
+ * Summarize who is waiting (for moderators)
+ */
+export async function getQueueSummary() {
+    return query('queue_summary', {}, null);
+}
+
+export default {
+    name: 'partykit',
+    init,
+    setResponseCallback,
+    handleJoin,
+    handleLeave,
+    handleNext,
+    handleMessage,
+    handleTyping,
+    getPartner,
+    isInChat,
+    isInQueue,
+    reconnectPair,
+    relaxFilters,
+    updateProfile,
+    getStatus,
+    getQueueSummary
+};
@@ -0,0 +1,91 @@
+/**
+ * Long polling
+ * Alternative to the webhook for local development - no public URL needed.
+ * Updates are fetched with getUpdates and handed to the same dispatcher the
+ * webhook uses. The offset is saved in Redis when configured, so a restart
+ * neither replays nor skips updates.
+ */
+
+import { deleteWebhook, getUpdates } from './telegram.js';
+import { isRedisAvailable, savePollingOffsetToRedis, getPollingOffsetFromRedis } from './redis.js';
+
+const POLL_TIMEOUT_SECONDS = 50;     // How long Telegram holds each request open
+const ERROR_BACKOFF_MS = 5 * 1000;   // Wait after a failed poll
+
+let running = false;
+let offset = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Remember the next update to ask for
+ */
+async function saveOffset(nextOffset) {
+    offset = nextOffset;
+    if (isRedisAvailable()) {
+        await savePollingOffsetToRedis(nextOffset);
+    }
+}
+
+/**
+ * Fetch updates until stopped
+ * Each batch is handed to the per-user queues in order, so users are handled
+ * in parallel. The offset is only saved once the whole batch has been handled,
+ * so a restart mid-batch gets those updates again instead of losing them.
+ */
+async function poll(enqueueUpdate) {
+    while (running) {
+        const result = await getUpdates(offset, POLL_TIMEOUT_SECONDS);
+
+        if (!result.success) {
+            // 409 Conflict means another instance is polling or a webhook was set again
+            await sleep(result.retryAfter ? result.retryAfter * 1000 : ERROR_BACKOFF_MS);
+            continue;
+        }
+
+        if (result.data.length === 0) continue;
+
+        const handled = [];
+        for (const update of result.data) {
+            const { done } = await enqueueUpdate(update);
+            handled.push(done);
+        }
+        await Promise.all(handled);
+        await saveOffset(result.data[result.data.length - 1].update_id + 1);
+    }
+}
+
+/**
+ * Start long polling
+ * @param {(update: object) => Promise<{ done: Promise<unknown> }>} enqueueUpdate - Queues an update for handling (see updates.js)
+ */
+export async function startPolling(enqueueUpdate) {
+    if (running) return;
+
+    // Telegram refuses getUpdates while a webhook is set; keep pending updates
+    const result = await deleteWebhook(false);
+    if (!result.success) {
+        throw new Error(`Could not delete webhook: ${result.error}`);
+    }
+
+    offset = (isRedisAvailable() && await getPollingOffsetFromRedis()) || 0;
+    running = true;
+    console.log(`Long polling for updates (offset ${offset})`);
+
+    poll(enqueueUpdate).catch(error => {
+        running = false;
+        console.error('Long polling stopped:', error);
+    });
+}
+
+/**
+ * Stop after the current poll returns
+ */
+export function stopPolling() {
+    running = false;
+}
+
+export default {
+    startPolling,
+    stopPolling
+};
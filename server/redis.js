@@ -1,6 +1,7 @@
 /**
  * Redis client for Upstash
- * Provides persistence for user settings and stats
+ * Provides persistence for user settings and stats,
+ * and the shared matchmaking queue/pair tables
  */
 
 import { Redis } from '@upstash/redis';
@@ -89,10 +90,995 @@ export async function saveUserStatsToRedis(userId, stats) {
     }
 }
 
+// ============ Block List ============
+
+/**
+ * Get the users someone has blocked
+ * @param {string} userId
+ * @returns {Promise<string[]|null>}
+ */
+export async function getBlockedUsersFromRedis(userId) {
+    if (!redis) return null;
+    try {
+        const members = await redis.smembers(`user:blocks:${userId}`);
+        return members.map(String);
+    } catch (error) {
+        console.error('Redis smembers error:', error);
+        return null;
+    }
+}
+
+/**
+ * Add a user to someone's block list
+ * @param {string} userId
+ * @param {string} blockedId
+ */
+export async function addBlockedUserToRedis(userId, blockedId) {
+    if (!redis) return;
+    try {
+        await redis.sadd(`user:blocks:${userId}`, String(blockedId));
+    } catch (error) {
+        console.error('Redis sadd error:', error);
+    }
+}
+
+/**
+ * Remove everyone from someone's block list
+ * @param {string} userId
+ */
+export async function clearBlockedUsersInRedis(userId) {
+    if (!redis) return;
+    try {
+        await redis.del(`user:blocks:${userId}`);
+    } catch (error) {
+        console.error('Redis del error:', error);
+    }
+}
+
+/**
+ * Check if a user has blocked another
+ * @param {string} userId
+ * @param {string} otherId
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedInRedis(userId, otherId) {
+    if (!redis) return false;
+    try {
+        return Boolean(await redis.sismember(`user:blocks:${userId}`, String(otherId)));
+    } catch (error) {
+        console.error('Redis sismember error:', error);
+        return false;
+    }
+}
+
+// ============ Moderation ============
+
+/**
+ * Remember that a user reported their current partner
+ * @returns {Promise<boolean>} false if they already reported them
+ */
+export async function addSessionReportToRedis(reporterId, reportedId, ttlMs) {
+    if (!redis) return true;
+    try {
+        const result = await redis.set(`mod:reported:${reporterId}:${reportedId}`, 1, { nx: true, px: ttlMs });
+        return result === 'OK';
+    } catch (error) {
+        console.error('Redis set error:', error);
+        return true;
+    }
+}
+
+/**
+ * Forget session reports between two users (chat ended)
+ */
+export async function clearSessionReportsInRedis(userId1, userId2) {
+    if (!redis) return;
+    try {
+        await redis.del(`mod:reported:${userId1}:${userId2}`, `mod:reported:${userId2}:${userId1}`);
+    } catch (error) {
+        console.error('Redis del error:', error);
+    }
+}
+
+/**
+ * Count a report against a user
+ * The count expires windowMs after the latest report.
+ * @returns {Promise<number|null>} Reports in the current window
+ */
+export async function incrementReportCountInRedis(userId, windowMs) {
+    if (!redis) return null;
+    try {
+        const key = `mod:reports:${userId}`;
+        const count = await redis.incr(key);
+        await redis.pexpire(key, windowMs);
+        return count;
+    } catch (error) {
+        console.error('Redis incr error:', error);
+        return null;
+    }
+}
+
+/**
+ * Get a user's report history
+ * @returns {Promise<{ reports: number, level: number }>} level is the highest
+ *   ban tier served recently, -1 for none
+ */
+export async function getReportHistoryFromRedis(userId) {
+    if (!redis) return { reports: 0, level: -1 };
+    try {
+        const [reports, level] = await Promise.all([
+            redis.get(`mod:reports:${userId}`),
+            redis.get(`mod:offender:${userId}`)
+        ]);
+        return {
+            reports: Number(reports) || 0,
+            level: level === null ? -1 : Number(level)
+        };
+    } catch (error) {
+        console.error('Redis get error:', error);
+        return { reports: 0, level: -1 };
+    }
+}
+
+/**
+ * Store a ban and the offender's tier
+ * @param {object} ban - { level, bannedAt, until } (until null = permanent)
+ * @param {number} offenderTtlMs - How long the tier is remembered
+ */
+export async function saveBanToRedis(userId, ban, offenderTtlMs) {
+    if (!redis) return;
+    try {
+        const banOptions = ban.until ? { px: Math.max(1, ban.until - Date.now()) } : {};
+        await redis.set(`mod:ban:${userId}`, JSON.stringify(ban), banOptions);
+
+        // Moderator bans (no tier) leave the escalation history alone
+        if (ban.level !== null) {
+            await redis.set(`mod:offender:${userId}`, ban.level, { px: offenderTtlMs });
+        }
+    } catch (error) {
+        console.error('Redis set error:', error);
+    }
+}
+
+/**
+ * Remove a user's active ban
+ */
+export async function deleteBanFromRedis(userId) {
+    if (!redis) return;
+    try {
+        await redis.del(`mod:ban:${userId}`);
+    } catch (error) {
+        console.error('Redis del error:', error);
+    }
+}
+
+/**
+ * Get a user's active ban
+ * @returns {Promise<object|null>} { level, bannedAt, until }
+ */
+export async function getBanFromRedis(userId) {
+    if (!redis) return null;
+    try {
+        return parseJson(await redis.get(`mod:ban:${userId}`));
+    } catch (error) {
+        console.error('Redis get error:', error);
+        return null;
+    }
+}
+
+// Every report, newest last (member = reportId, score = time)
+const REPORT_LOG_KEY = 'mod:reportlog';
+
+/**
+ * Save a report record, index it, and keep its evidence for a short time
+ * @param {object} record - { id, reportedId, at, ... }
+ * @param {Array<object>} snapshot - Evidence messages (may be empty)
+ * @param {object} ttls - { reportTtlMs, evidenceTtlMs }
+ */
+export async function saveReportToRedis(record, snapshot, { reportTtlMs, evidenceTtlMs }) {
+    if (!redis) return;
+    try {
+        const userLogKey = `${REPORT_LOG_KEY}:${record.reportedId}`;
+        const pipeline = redis.pipeline();
+        pipeline.set(`mod:report:${record.id}`, JSON.stringify(record), { px: reportTtlMs });
+        if (snapshot.length > 0) {
+            pipeline.set(`mod:evidence:${record.id}`, JSON.stringify(snapshot), { px: evidenceTtlMs });
+        }
+        for (const key of [REPORT_LOG_KEY, userLogKey]) {
+            pipeline.zadd(key, { score: record.at, member: record.id });
+            pipeline.zremrangebyscore(key, 0, record.at - reportTtlMs);
+        }
+        pipeline.pexpire(userLogKey, reportTtlMs);
+        await pipeline.exec();
+    } catch (error) {
+        console.error('Redis report save error:', error);
+    }
+}
+
+/**
+ * Get the most recent reports, newest first
+ * @param {object} options - { limit, reportedId, reportTtlMs }
+ * @returns {Promise<Array<object>>}
+ */
+export async function getRecentReportsFromRedis({ limit, reportedId, reportTtlMs }) {
+    if (!redis) return [];
+    try {
+        const key = reportedId ? `${REPORT_LOG_KEY}:${reportedId}` : REPORT_LOG_KEY;
+        const ids = await redis.zrange(key, '+inf', Date.now() - reportTtlMs, {
+            byScore: true,
+            rev: true,
+            offset: 0,
+            count: limit
+        });
+        if (ids.length === 0) return [];
+
+        const records = await redis.mget(...ids.map(id => `mod:report:${id}`));
+        return records.map(parseJson).filter(Boolean);
+    } catch (error) {
+        console.error('Redis report fetch error:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the evidence snapshot saved with a report
+ * @returns {Promise<Array<object>|null>} null once it has expired
+ */
+export async function getReportEvidenceFromRedis(reportId) {
+    if (!redis) return null;
+    try {
+        return parseJson(await redis.get(`mod:evidence:${reportId}`));
+    } catch (error) {
+        console.error('Redis get error:', error);
+        return null;
+    }
+}
+
+// ============ User Registry ============
+
+// Every chat that ever used the bot (member = chatId, score = first seen)
+const REGISTRY_KEY = 'users:registry';
+// Chats that blocked the bot or were deactivated
+const INACTIVE_KEY = 'users:inactive';
+
+/**
+ * Add a chat to the registry (and mark it active again)
+ */
+export async function registerChatInRedis(chatId) {
+    if (!redis) return;
+    try {
+        await redis.zadd(REGISTRY_KEY, { nx: true }, { score: Date.now(), member: String(chatId) });
+        await redis.srem(INACTIVE_KEY, String(chatId));
+    } catch (error) {
+        console.error('Redis registry error:', error);
+    }
+}
+
+/**
+ * Mark a chat as unreachable (blocked the bot, deactivated, ...)
+ */
+export async function markChatInactiveInRedis(chatId) {
+    if (!redis) return;
+    try {
+        await redis.sadd(INACTIVE_KEY, String(chatId));
+    } catch (error) {
+        console.error('Redis sadd error:', error);
+    }
+}
+
+/**
+ * Get a page of registered chats in registration order
+ * New chats are appended, so an offset stays valid as the registry grows.
+ * @returns {Promise<Array<{ chatId: string, active: boolean }>|null>}
+ */
+export async function getRegisteredChatsFromRedis(offset, count) {
+    if (!redis) return null;
+    try {
+        const chatIds = (await redis.zrange(REGISTRY_KEY, offset, offset + count - 1)).map(String);
+        if (chatIds.length === 0) return [];
+
+        const inactive = await redis.smismember(INACTIVE_KEY, chatIds);
+        return chatIds.map((chatId, i) => ({ chatId, active: !Number(inactive[i]) }));
+    } catch (error) {
+        console.error('Redis registry read error:', error);
+        return null;
+    }
+}
+
+/**
+ * Count registered and inactive chats
+ * @returns {Promise<{ total: number, inactive: number }|null>}
+ */
+export async function getRegistryCountsFromRedis() {
+    if (!redis) return null;
+    try {
+        const [total, inactive] = await Promise.all([
+            redis.zcard(REGISTRY_KEY),
+            redis.scard(INACTIVE_KEY)
+        ]);
+        return { total, inactive };
+    } catch (error) {
+        console.error('Redis registry count error:', error);
+        return null;
+    }
+}
+
+// ============ Broadcasts ============
+
+const BROADCAST_KEY = 'broadcast:current';
+const BROADCAST_LOCK_KEY = 'broadcast:lock';
+
+// Extend the lock if we hold it, otherwise take it if it is free. Runs
+// atomically, so it can't expire (and be taken) between the check and the extend.
+const ACQUIRE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    return 1
+end
+if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then return 1 end
+return 0
+`;
+
+// Delete the lock only if we still hold it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+
+/**
+ * Save the current broadcast's progress
+ */
+export async function saveBroadcastToRedis(broadcast) {
+    if (!redis) return;
+    try {
+        await redis.set(BROADCAST_KEY, JSON.stringify(broadcast));
+    } catch (error) {
+        console.error('Redis broadcast save error:', error);
+    }
+}
+
+/**
+ * Get the current (or last) broadcast
+ * @returns {Promise<object|null>}
+ */
+export async function getBroadcastFromRedis() {
+    if (!redis) return null;
+    try {
+        return parseJson(await redis.get(BROADCAST_KEY));
+    } catch (error) {
+        console.error('Redis broadcast read error:', error);
+        return null;
+    }
+}
+
+/**
+ * Take or refresh the lock that lets one instance run a broadcast
+ * @returns {Promise<boolean>} false if another instance holds it
+ */
+export async function acquireBroadcastLock(ownerId, ttlMs) {
+    if (!redis) return true;
+    try {
+        const result = await redis.eval(ACQUIRE_LOCK_SCRIPT, [BROADCAST_LOCK_KEY], [ownerId, ttlMs]);
+        return Number(result) === 1;
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return false;
+    }
+}
+
+/**
+ * Release the broadcast lock
+ */
+export async function releaseBroadcastLock(ownerId) {
+    if (!redis) return;
+    try {
+        await redis.eval(RELEASE_LOCK_SCRIPT, [BROADCAST_LOCK_KEY], [ownerId]);
+    } catch (error) {
+        console.error('Redis eval error:', error);
+    }
+}
+
+// ============ Update Deduplication ============
+
+/**
+ * Mark an update as handled
+ * @returns {Promise<boolean|null>} true if it was new, false if already seen,
+ *   null if Redis is unavailable
+ */
+export async function markUpdateSeenInRedis(updateId, ttlSeconds) {
+    if (!redis) return null;
+    try {
+        return (await redis.set(`update:${updateId}`, 1, { nx: true, ex: ttlSeconds })) === 'OK';
+    } catch (error) {
+        console.error('Redis set error:', error);
+        return null;
+    }
+}
+
+// ============ Message ID Map ============
+
+/**
+ * Hash of one user's relayed messages with one partner:
+ * message ID in the user's chat -> { messageId, sentAt, own }
+ */
+function messageMapKey(userId, partnerId) {
+    return `msgmap:${userId}:${partnerId}`;
+}
+
+/**
+ * Remember both sides of a relayed message
+ * @param {object} pair - { fromUserId, fromMessageId, toUserId, toMessageId, sentAt }
+ */
+export async function saveMessagePairToRedis(pair, ttlMs) {
+    if (!redis) return;
+    try {
+        const { fromUserId, fromMessageId, toUserId, toMessageId, sentAt } = pair;
+        const fromKey = messageMapKey(fromUserId, toUserId);
+        const toKey = messageMapKey(toUserId, fromUserId);
+
+        const pipeline = redis.pipeline();
+        pipeline.hset(fromKey, { [fromMessageId]: JSON.stringify({ messageId: toMessageId, sentAt, own: true }) });
+        pipeline.hset(toKey, { [toMessageId]: JSON.stringify({ messageId: fromMessageId, sentAt, own: false }) });
+        pipeline.pexpire(fromKey, ttlMs);
+        pipeline.pexpire(toKey, ttlMs);
+        await pipeline.exec();
+    } catch (error) {
+        console.error('Redis message map save error:', error);
+    }
+}
+
+/**
+ * Look up the other side of a message in a user's chat with a partner
+ * @returns {Promise<{ messageId: number, sentAt: number, own: boolean }|null>}
+ */
+export async function getMessagePairFromRedis(userId, partnerId, messageId) {
+    if (!redis) return null;
+    try {
+        return parseJson(await redis.hget(messageMapKey(userId, partnerId), String(messageId)));
+    } catch (error) {
+        console.error('Redis hget error:', error);
+        return null;
+    }
+}
+
+/**
+ * Forget one relayed message on both sides
+ */
+export async function deleteMessagePairFromRedis(userId, partnerId, messageId, partnerMessageId) {
+    if (!redis) return;
+    try {
+        await Promise.all([
+            redis.hdel(messageMapKey(userId, partnerId), String(messageId)),
+            redis.hdel(messageMapKey(partnerId, userId), String(partnerMessageId))
+        ]);
+    } catch (error) {
+        console.error('Redis hdel error:', error);
+    }
+}
+
+/**
+ * Forget both sides of a chat
+ */
+export async function clearMessageMapInRedis(userId, partnerId) {
+    if (!redis) return;
+    try {
+        await redis.del(messageMapKey(userId, partnerId), messageMapKey(partnerId, userId));
+    } catch (error) {
+        console.error('Redis del error:', error);
+    }
+}
+
+// ============ Held Messages ============
+
+/**
+ * Keep a message the leak guard holds until the sender confirms it
+ * Replaces any earlier one; dropped by Redis after ttlMs.
+ * @param {object} held - { partnerId, messageData, heldAt }
+ */
+export async function saveHeldMessageToRedis(userId, held, ttlMs) {
+    if (!redis) return;
+    try {
+        await redis.set(`leak:held:${userId}`, JSON.stringify(held), { px: ttlMs });
+    } catch (error) {
+        console.error('Redis set error:', error);
+    }
+}
+
+/**
+ * Take (read and delete) a user's held message
+ * @returns {Promise<object|null>}
+ */
+export async function takeHeldMessageFromRedis(userId) {
+    if (!redis) return null;
+    try {
+        return parseJson(await redis.getdel(`leak:held:${userId}`));
+    } catch (error) {
+        console.error('Redis getdel error:', error);
+        return null;
+    }
+}
+
+// ============ Spam Rules ============
+
+/**
+ * Count a message towards duplicate detection
+ * One sorted set per fingerprint: partnerId -> time they got the text.
+ * @returns {Promise<number|null>} Different partners within the window, null on error
+ */
+export async function countDuplicateInRedis(fingerprint, partnerId, now, windowMs) {
+    if (!redis) return null;
+    try {
+        const key = `spam:dup:${fingerprint}`;
+        const pipeline = redis.pipeline();
+        pipeline.zremrangebyscore(key, 0, now - windowMs);
+        pipeline.zadd(key, { score: now, member: partnerId });
+        pipeline.zcard(key);
+        pipeline.pexpire(key, windowMs);
+        const [, , count] = await pipeline.exec();
+        return Number(count);
+    } catch (error) {
+        console.error('Redis duplicate count error:', error);
+        return null;
+    }
+}
+
+// ============ Long Polling ============
+
+const POLLING_OFFSET_KEY = 'polling:offset';
+
+/**
+ * Save the next getUpdates offset
+ */
+export async function savePollingOffsetToRedis(offset) {
+    if (!redis) return;
+    try {
+        await redis.set(POLLING_OFFSET_KEY, offset);
+    } catch (error) {
+        console.error('Redis set error:', error);
+    }
+}
+
+/**
+ * Get the saved getUpdates offset
+ * @returns {Promise<number|null>}
+ */
+export async function getPollingOffsetFromRedis() {
+    if (!redis) return null;
+    try {
+        const offset = await redis.get(POLLING_OFFSET_KEY);
+        return offset === null ? null : Number(offset);
+    } catch (error) {
+        console.error('Redis get error:', error);
+        return null;
+    }
+}
+
+// ============ Admin Audit Log ============
+
+const AUDIT_LOG_KEY = 'admin:audit';
+
+/**
+ * Append an admin action to the audit log (newest first)
+ * @param {object} entry - { adminId, command, args, result, at }
+ * @param {number} maxEntries - Older entries are dropped
+ */
+export async function appendAuditLogToRedis(entry, maxEntries) {
+    if (!redis) return;
+    try {
+        await redis.lpush(AUDIT_LOG_KEY, JSON.stringify(entry));
+        await redis.ltrim(AUDIT_LOG_KEY, 0, maxEntries - 1);
+    } catch (error) {
+        console.error('Redis audit log error:', error);
+    }
+}
+
+// ============ Matchmaking State ============
+
+// Waiting users ordered by join time (member = userId, score = joinedAt)
+const QUEUE_KEY = 'mm:queue';
+// Waiting user entries: userId -> JSON { userId, chatId, gender, ... }
+const QUEUE_ENTRIES_KEY = 'mm:queue:entries';
+// Active pairs: userId -> JSON { partnerId, partnerChatId, startedAt }
+const PAIRS_KEY = 'mm:pairs';
+// Known chat IDs: userId -> chatId
+const CHAT_IDS_KEY = 'mm:chats';
+
+// Add a user to the queue unless they are already waiting or chatting
+const ENQUEUE_SCRIPT = `
+if redis.call('HEXISTS', KEYS[3], ARGV[1]) == 1 then return 'already_chatting' end
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) then return 'already_waiting' end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+return 'queued'
+`;
+
+// Replace a queue entry only while the user is still waiting
+const UPDATE_ENTRY_SCRIPT = `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then return 0 end
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+return 1
+`;
+
+// Pair two users if the partner is still waiting and neither is paired yet
+// (ARGV[5] == '1' also requires the user to still be waiting).
+// Runs atomically, so two instances can never grab the same waiting user.
+const CLAIM_PAIR_SCRIPT = `
+if redis.call('HEXISTS', KEYS[3], ARGV[1]) == 1 or redis.call('HEXISTS', KEYS[3], ARGV[2]) == 1 then return 0 end
+if not redis.call('ZSCORE', KEYS[1], ARGV[2]) then return 0 end
+if ARGV[5] == '1' and not redis.call('ZSCORE', KEYS[1], ARGV[1]) then return 0 end
+redis.call('ZREM', KEYS[1], ARGV[1], ARGV[2])
+redis.call('HDEL', KEYS[2], ARGV[1], ARGV[2])
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[3], ARGV[2], ARGV[4])
+return 1
+`;
+
+// Re-pair two users (undo) unless either of them is already in a chat
+const RECONNECT_PAIR_SCRIPT = `
+if redis.call('HEXISTS', KEYS[3], ARGV[1]) == 1 or redis.call('HEXISTS', KEYS[3], ARGV[2]) == 1 then return 0 end
+redis.call('ZREM', KEYS[1], ARGV[1], ARGV[2])
+redis.call('HDEL', KEYS[2], ARGV[1], ARGV[2])
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[3], ARGV[2], ARGV[4])
+return 1
+`;
+
+// Remove a user's pair (and the partner's side if it still points back).
+// Returns the removed pair so only one caller ever ends a given chat.
+const END_PAIR_SCRIPT = `
+local pair = redis.call('HGET', KEYS[1], ARGV[1])
+if not pair then return false end
+redis.call('HDEL', KEYS[1], ARGV[1])
+local partnerId = cjson.decode(pair).partnerId
+local back = redis.call('HGET', KEYS[1], partnerId)
+if back and cjson.decode(back).partnerId == ARGV[1] then
+    redis.call('HDEL', KEYS[1], partnerId)
+end
+return pair
+`;
+
+/**
+ * Parse a value that Upstash may or may not have deserialized already
+ */
+function parseJson(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Add a user to the shared waiting queue
+ * @param {object} entry - Queue entry, must include userId and joinedAt
+ * @returns {Promise<'queued'|'already_waiting'|'already_chatting'|'error'>}
+ */
+export async function enqueueWaitingUser(entry) {
+    try {
+        return await redis.eval(
+            ENQUEUE_SCRIPT,
+            [QUEUE_KEY, QUEUE_ENTRIES_KEY, PAIRS_KEY],
+            [entry.userId, entry.joinedAt, JSON.stringify(entry)]
+        );
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return 'error';
+    }
+}
+
+/**
+ * Remove a user from the shared waiting queue
+ * @returns {Promise<boolean>} true if the user was waiting
+ */
+export async function removeWaitingUser(userId) {
+    try {
+        const removed = await redis.zrem(QUEUE_KEY, userId);
+        await redis.hdel(QUEUE_ENTRIES_KEY, userId);
+        return removed > 0;
+    } catch (error) {
+        console.error('Redis zrem error:', error);
+        return false;
+    }
+}
+
+/**
+ * Get all waiting users, oldest first
+ * @returns {Promise<Array<object>>}
+ */
+export async function getWaitingUsers() {
+    try {
+        const [ids, entries] = await Promise.all([
+            redis.zrange(QUEUE_KEY, 0, -1),
+            redis.hgetall(QUEUE_ENTRIES_KEY)
+        ]);
+        if (!entries) return [];
+
+        return ids
+            .map(id => parseJson(entries[String(id)]))
+            .filter(Boolean);
+    } catch (error) {
+        console.error('Redis zrange error:', error);
+        return [];
+    }
+}
+
+/**
+ * Check if a user is in the shared waiting queue
+ */
+export async function isUserWaiting(userId) {
+    try {
+        return (await redis.zscore(QUEUE_KEY, userId)) !== null;
+    } catch (error) {
+        console.error('Redis zscore error:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a single waiting user's queue entry
+ * @returns {Promise<object|null>}
+ */
+export async function getWaitingUser(userId) {
+    try {
+        return parseJson(await redis.hget(QUEUE_ENTRIES_KEY, userId));
+    } catch (error) {
+        console.error('Redis hget error:', error);
+        return null;
+    }
+}
+
+/**
+ * Replace a waiting user's queue entry (e.g. after widening filters)
+ * @returns {Promise<boolean>} false if the user is no longer waiting
+ */
+export async function updateWaitingUser(entry) {
+    try {
+        const result = await redis.eval(
+            UPDATE_ENTRY_SCRIPT,
+            [QUEUE_KEY, QUEUE_ENTRIES_KEY],
+            [entry.userId, JSON.stringify(entry)]
+        );
+        return Number(result) === 1;
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return false;
+    }
+}
+
+/**
+ * Record that a filter relaxation was offered for one search
+ * @returns {Promise<boolean>} true only for the first caller (across instances)
+ */
+export async function markRelaxOfferedInRedis(userId, joinedAt, step) {
+    try {
+        const result = await redis.set(`mm:relax:${userId}:${joinedAt}:${step}`, 1, { nx: true, ex: 24 * 60 * 60 });
+        return result === 'OK';
+    } catch (error) {
+        console.error('Redis set error:', error);
+        return false;
+    }
+}
+
+/**
+ * Atomically pair a user with a waiting partner
+ * @param {object} [options] - { userQueued: true } if the user must still be waiting too
+ * @returns {Promise<boolean>} false if the partner was taken meanwhile
+ */
+export async function claimPair(user, partner, startedAt, { userQueued = false } = {}) {
+    try {
+        const result = await redis.eval(
+            CLAIM_PAIR_SCRIPT,
+            [QUEUE_KEY, QUEUE_ENTRIES_KEY, PAIRS_KEY],
+            [
+                user.userId,
+                partner.userId,
+                JSON.stringify({ partnerId: partner.userId, partnerChatId: partner.chatId, startedAt }),
+                JSON.stringify({ partnerId: user.userId, partnerChatId: user.chatId, startedAt }),
+                userQueued ? '1' : '0'
+            ]
+        );
+        return Number(result) === 1;
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return false;
+    }
+}
+
+/**
+ * Atomically pair two users who were chatting before (undo skip/stop)
+ * @returns {Promise<boolean>} false if either is already in a chat
+ */
+export async function reconnectPairInRedis(user, partner, startedAt) {
+    try {
+        const result = await redis.eval(
+            RECONNECT_PAIR_SCRIPT,
+            [QUEUE_KEY, QUEUE_ENTRIES_KEY, PAIRS_KEY],
+            [
+                user.userId,
+                partner.userId,
+                JSON.stringify({ partnerId: partner.userId, partnerChatId: partner.chatId, startedAt }),
+                JSON.stringify({ partnerId: user.userId, partnerChatId: user.chatId, startedAt })
+            ]
+        );
+        return Number(result) === 1;
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a user's active pair
+ * @returns {Promise<object|null>} { partnerId, partnerChatId, startedAt }
+ */
+export async function getPairFromRedis(userId) {
+    try {
+        return parseJson(await redis.hget(PAIRS_KEY, userId));
+    } catch (error) {
+        console.error('Redis hget error:', error);
+        return null;
+    }
+}
+
+/**
+ * Atomically end a user's active pair
+ * @returns {Promise<object|null>} The removed pair, or null if there was none
+ */
+export async function endPairInRedis(userId) {
+    try {
+        return parseJson(await redis.eval(END_PAIR_SCRIPT, [PAIRS_KEY], [userId]));
+    } catch (error) {
+        console.error('Redis eval error:', error);
+        return null;
+    }
+}
+
+/**
+ * Remember that two users just finished a chat (both directions)
+ * Each history is a sorted set trimmed to the last historySize partners
+ * and expires once the newest entry is past its cooldown.
+ * @param {object} config - { historySize, cooldownMs }
+ */
+export async function recordRecentPartnersInRedis(userId, partnerId, endedAt, config) {
+    try {
+        const pipeline = redis.pipeline();
+        for (const [ownerId, otherId] of [[userId, partnerId], [partnerId, userId]]) {
+            const key = `mm:recent:${ownerId}`;
+            pipeline.zadd(key, { score: endedAt, member: String(otherId) });
+            pipeline.zremrangebyrank(key, 0, -(config.historySize + 1));
+            pipeline.pexpire(key, config.cooldownMs);
+        }
+        await pipeline.exec();
+    } catch (error) {
+        console.error('Redis pipeline error:', error);
+    }
+}
+
+/**
+ * Get a user's recent partners
+ * @returns {Promise<object>} partnerId -> time the chat ended (ms)
+ */
+export async function getRecentPartnersFromRedis(userId) {
+    try {
+        const flat = await redis.zrange(`mm:recent:${userId}`, 0, -1, { withScores: true });
+        const recent = {};
+        for (let i = 0; i < flat.length; i += 2) {
+            recent[String(flat[i])] = Number(flat[i + 1]);
+        }
+        return recent;
+    } catch (error) {
+        console.error('Redis zrange error:', error);
+        return {};
+    }
+}
+
+/**
+ * Remember which chat a user talks to the bot from
+ */
+export async function setChatIdInRedis(userId, chatId) {
+    try {
+        await redis.hset(CHAT_IDS_KEY, { [userId]: chatId });
+    } catch (error) {
+        console.error('Redis hset error:', error);
+    }
+}
+
+/**
+ * Get the chat a user talks to the bot from
+ */
+export async function getChatIdFromRedis(userId) {
+    try {
+        const chatId = await redis.hget(CHAT_IDS_KEY, userId);
+        return chatId === null ? null : String(chatId);
+    } catch (error) {
+        console.error('Redis hget error:', error);
+        return null;
+    }
+}
+
+/**
+ * Forget a user's chat ID
+ */
+export async function deleteChatIdFromRedis(userId) {
+    try {
+        await redis.hdel(CHAT_IDS_KEY, userId);
+    } catch (error) {
+        console.error('Redis hdel error:', error);
+    }
+}
+
+/**
+ * Get queue, pair and user counts
+ * @returns {Promise<object|null>} null if Redis could not be reached
+ */
+export async function getMatchmakingCountsFromRedis() {
+    try {
+        const [queueSize, pairedUsers, users] = await Promise.all([
+            redis.zcard(QUEUE_KEY),
+            redis.hlen(PAIRS_KEY),
+            redis.hlen(CHAT_IDS_KEY)
+        ]);
+        return { queueSize, activePairs: Math.floor(pairedUsers / 2), users };
+    } catch (error) {
+        console.error('Redis zcard error:', error);
+        return null;
+    }
+}
+
 export default {
     isRedisAvailable,
     getUserSettingsFromRedis,
     saveUserSettingsToRedis,
     getUserStatsFromRedis,
-    saveUserStatsToRedis
+    saveUserStatsToRedis,
+    getBlockedUsersFromRedis,
+    addBlockedUserToRedis,
+    clearBlockedUsersInRedis,
+    isBlockedInRedis,
+    addSessionReportToRedis,
+    clearSessionReportsInRedis,
+    incrementReportCountInRedis,
+    getReportHistoryFromRedis,
+    saveBanToRedis,
+    getBanFromRedis,
+    deleteBanFromRedis,
+    saveReportToRedis,
+    getRecentReportsFromRedis,
+    getReportEvidenceFromRedis,
+    registerChatInRedis,
+    markChatInactiveInRedis,
+    getRegisteredChatsFromRedis,
+    getRegistryCountsFromRedis,
+    saveBroadcastToRedis,
+    getBroadcastFromRedis,
+    acquireBroadcastLock,
+    releaseBroadcastLock,
+    markUpdateSeenInRedis,
+    saveMessagePairToRedis,
+    getMessagePairFromRedis,
+    deleteMessagePairFromRedis,
+    clearMessageMapInRedis,
+    saveHeldMessageToRedis,
+    takeHeldMessageFromRedis,
+    countDuplicateInRedis,
+    savePollingOffsetToRedis,
+    getPollingOffsetFromRedis,
+    appendAuditLogToRedis,
+    enqueueWaitingUser,
+    removeWaitingUser,
+    getWaitingUsers,
+    isUserWaiting,
+    getWaitingUser,
+    updateWaitingUser,
+    markRelaxOfferedInRedis,
+    claimPair,
+    reconnectPairInRedis,
+    getPairFromRedis,
+    endPairInRedis,
+    recordRecentPartnersInRedis,
+    getRecentPartnersFromRedis,
+    setChatIdInRedis,
+    getChatIdFromRedis,
+    deleteChatIdFromRedis,
+    getMatchmakingCountsFromRedis
 };
@@ -1,32 +1,23 @@
 /**
  * Express Webhook Server for Telegram Bot
  * Main entry point - handles incoming webhook requests
- * Uses in-memory matchmaking with menu-based UI
+ * (or long polls for updates when UPDATE_MODE=polling)
+ * Matchmaking backend (in-memory or PartyKit) is picked by MATCHMAKING_BACKEND
  */
 
 import 'dotenv/config';
 import express from 'express';
-import { extractUserInfo, isCommand, parseCommand } from './utils.js';
-import {
-    handleStart,
-    handleFind,
-    handleNext,
-    handleStop,
-    handleTextMessage,
-    handleTypingFromUser,
-    handleSettings,
-    handleStats,
-    handleHelp,
-    handleCallbackQuery,
-    handleReveal
-} from './commands.js';
-import { loadUserSettingsFromRedis, loadUserStatsFromRedis } from './userState.js';
-import matchmaking from './matchmaking.js';
-import { setWebhook, getMe } from './telegram.js';
+import { timingSafeEqual } from 'crypto';
+import { handleUpdate, enqueueUpdate } from './updates.js';
+import { startPolling } from './polling.js';
+import { resumeBroadcast } from './broadcast.js';
+import matchmaking from './matchmakingBackend.js';
+import { setWebhook, getMe, WEBHOOK_SECRET } from './telegram.js';
 
 // Load environment variables
 const PORT = process.env.PORT || 3000;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const UPDATE_MODE = process.env.UPDATE_MODE || 'webhook'; // webhook | polling
 const BOT_TOKEN = process.env.BOT_TOKEN;
 
 // Validate required environment variables
@@ -52,10 +43,18 @@ app.use((req, res, next) => {
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
-    const status = matchmaking.getStatus();
-    res.json({
-        status: 'ok',
+app.get('/health', async (req, res) => {
+    let status = null;
+    try {
+        status = await matchmaking.getStatus();
+    } catch (error) {
+        console.error('Health check failed:', error);
+    }
+
+    // No status, or a lost PartyKit connection, means matchmaking is down
+    const healthy = status !== null && status.connected !== false;
+    res.status(healthy ? 200 : 503).json({
+        status: healthy ? 'ok' : 'degraded',
         matchmaking: status,
         timestamp: new Date().toISOString()
     });
@@ -77,92 +76,30 @@ app.get('/', (req, res) => {
     });
 });
 
+/**
+ * Check the secret token Telegram sends with every webhook call
+ */
+function hasValidSecret(req) {
+    const received = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
 /**
  * Telegram Webhook endpoint
  * Receives all updates from Telegram
  */
 app.post('/webhook', async (req, res) => {
-    try {
-        const update = req.body;
-
-        // Immediately respond to Telegram (prevents timeout)
-        res.sendStatus(200);
-
-        // Handle callback_query (inline button clicks) FIRST
-        // This is separate from message handling
-        if (update.callback_query) {
-            console.log('[Webhook] Received callback_query:', update.callback_query.data);
-            console.log('[Webhook] From user:', update.callback_query.from?.id);
-            await handleCallbackQuery(update.callback_query);
-            return;
-        }
-
-        // Extract user info from message
-        const userInfo = extractUserInfo(update);
-        if (!userInfo) {
-            console.log('No user info in update');
-            return;
-        }
-
-        const { id: userId, chatId } = userInfo;
-        const message = update.message;
+    // Anyone can POST here - only Telegram knows the secret
+    if (!hasValidSecret(req)) {
+        console.warn('Rejected webhook call without a valid secret token');
+        return res.sendStatus(401);
+    }
 
-        if (!message) {
-            return;
-        }
+    // Immediately respond to Telegram (prevents timeout)
+    res.sendStatus(200);
 
-        // Load user data from Redis on first interaction (await to ensure data is ready)
-        await loadUserSettingsFromRedis(userId);
-        await loadUserStatsFromRedis(userId);
-
-        // Check if it's a command
-        if (message.text && isCommand(message.text)) {
-            const { command } = parseCommand(message.text);
-
-            switch (command) {
-                case '/start':
-                    await handleStart(chatId, userId);
-                    break;
-                case '/find':
-                    await handleFind(chatId, userId);
-                    break;
-                case '/next':
-                    await handleNext(chatId, userId);
-                    break;
-                case '/stop':
-                    await handleStop(chatId, userId);
-                    break;
-                case '/settings':
-                    await handleSettings(chatId, userId);
-                    break;
-                case '/stats':
-                    await handleStats(chatId, userId);
-                    break;
-                case '/help':
-                    await handleHelp(chatId, userId);
-                    break;
-                case '/reveal':
-                    // Pass username from message.from for reveal feature
-                    await handleReveal(chatId, userId, message.from?.username);
-                    break;
-                default:
-                    // Unknown command - treat as text message (might be menu button)
-                    await handleTextMessage(message, userId, chatId);
-                    break;
-            }
-        } else if (message.text || message.photo || message.video || message.sticker || message.voice || message.animation || message.video_note || message.document) {
-            // Text or media message - unified handler
-            // Also trigger typing indicator for partner (only for text)
-            if (message.text) {
-                handleTypingFromUser(userId);
-            }
-            await handleTextMessage(message, userId, chatId);
-        }
-
-    } catch (error) {
-        console.error('Webhook error:', error);
-        // Don't throw - already sent 200 response
-    }
+    await handleUpdate(req.body);
 });
 
 /**
@@ -184,21 +121,33 @@ async function start() {
             console.log(`Bot: @${botInfo.username} (${botInfo.first_name})`);
         }
 
-        console.log('Using in-memory matchmaking');
+        // Connect the matchmaking backend (logs which one is in use)
+        await matchmaking.init();
+
+        // Pick up a broadcast that was interrupted by a restart
+        const { success: resumed, locked } = await resumeBroadcast();
+        if (resumed) {
+            console.log('Resumed unfinished broadcast');
+        } else if (locked) {
+            console.log('Unfinished broadcast is locked by another instance - will retry');
+        }
 
-        // Set webhook if URL is provided
-        if (WEBHOOK_URL) {
+        // Receive updates by long polling, or set webhook if URL is provided
+        if (UPDATE_MODE === 'polling') {
+            await startPolling(enqueueUpdate);
+        } else if (WEBHOOK_URL) {
             console.log('Setting webhook...');
             await setWebhook(WEBHOOK_URL);
         } else {
             console.log('WEBHOOK_URL not set - skipping webhook configuration');
             console.log('Set WEBHOOK_URL environment variable for production');
+            console.log('or UPDATE_MODE=polling for local development');
         }
 
         // Start Express server
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
-            console.log('Ready to receive webhook updates');
+            console.log(UPDATE_MODE === 'polling' ? 'Health endpoint ready' : 'Ready to receive webhook updates');
         });
 
     } catch (error) {
@@ -0,0 +1,250 @@
+/**
+ * Spam rules
+ * Checks outgoing messages against the rules in spam-rules.json (or the file
+ * in SPAM_RULES_FILE): the same text pasted to several partners, links to
+ * denied (or not allowed) domains, group/server invite links and blocked
+ * keywords. Each rule names what happens to a message that breaks it (see
+ * SPAM_ACTIONS); commands.js carries the action out. Duplicates are counted
+ * in Redis when it is configured, in memory otherwise.
+ */
+
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { getPayloadTexts } from './utils.js';
+import { isRedisAvailable, countDuplicateInRedis } from './redis.js';
+
+// What can happen to a message that breaks a rule
+export const SPAM_ACTIONS = {
+    DROP: 'drop',           // Not relayed, sender not told
+    WARN: 'warn',           // Not relayed, sender told why
+    REPORT: 'report',       // Not relayed, sender told why, message kept for moderators
+    TEMP_BAN: 'temp_ban'    // Not relayed, sender banned for banMinutes
+};
+
+const DEFAULT_RULES = {
+    duplicates: { enabled: false, minLength: 15, partners: 3, windowMinutes: 30, action: SPAM_ACTIONS.DROP, banMinutes: 60 },
+    urls: { allow: [], deny: [], action: SPAM_ACTIONS.DROP, banMinutes: 60 },
+    invites: { enabled: false, action: SPAM_ACTIONS.DROP, banMinutes: 60 },
+    keywords: { words: [], action: SPAM_ACTIONS.DROP, banMinutes: 60 }
+};
+
+// Invite links to Telegram groups and channels, WhatsApp groups and Discord servers
+const INVITE_REGEX = /(?:t|telegram)\.me\/(?:\+|joinchat\/)|tg:\/\/join|chat\.whatsapp\.com\/|discord(?:app)?\.(?:gg|com\/invite)\//i;
+const URL_REGEX = /(?:https?:\/\/|www\.)\S+/gi;
+
+const MAX_FINGERPRINTS = 10000;   // Oldest duplicate-detection entries are dropped first
+
+/**
+ * Read and check a rules file, filling in defaults for anything left out
+ * @returns {object|null} null if the file can't be read or is invalid
+ */
+export function loadSpamRules(path) {
+    let config;
+    try {
+        config = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        console.warn(`Could not load spam rules from ${path}: ${error.message}`);
+        return null;
+    }
+
+    if (!config || typeof config !== 'object') {
+        console.warn(`Spam rules in ${path} must be a JSON object`);
+        return null;
+    }
+
+    const rules = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_RULES)) {
+        rules[name] = { ...defaults, ...config[name] };
+        if (!Object.values(SPAM_ACTIONS).includes(rules[name].action)) {
+            console.warn(`Unknown action "${rules[name].action}" for spam rule "${name}" in ${path}`);
+            return null;
+        }
+    }
+
+    if (![rules.urls.allow, rules.urls.deny, rules.keywords.words].every(Array.isArray)) {
+        console.warn(`Spam rule lists (allow, deny, words) in ${path} must be arrays`);
+        return null;
+    }
+
+    rules.urls.allow = rules.urls.allow.map(normalizeDomain);
+    rules.urls.deny = rules.urls.deny.map(normalizeDomain);
+    rules.keywords.words = rules.keywords.words.map(word => word.toLowerCase());
+    return rules;
+}
+
+const RULES_FILE = process.env.SPAM_RULES_FILE
+    ? resolve(process.env.SPAM_RULES_FILE)
+    : fileURLToPath(new URL('../spam-rules.json', import.meta.url));
+
+// Every rule stays off if the file is missing or invalid
+const RULES = loadSpamRules(RULES_FILE) || DEFAULT_RULES;
+
+// Fingerprint (see getFingerprint) -> Map<partnerId, sentAt> (no Redis only)
+const fingerprints = new Map();
+
+/**
+ * Lower-case a domain and drop a leading www.
+ */
+function normalizeDomain(domain) {
+    return domain.trim().toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Whether a host is a domain on the list or a subdomain of one
+ */
+function matchesDomain(host, list) {
+    return list.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Get the host of a link, with or without a scheme
+ */
+function getHost(url) {
+    try {
+        const host = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(url) ? url : `http://${url}`).hostname;
+        return normalizeDomain(host);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Every text and link a relayed message carries (album captions and the text
+ * of polls, venues and contact cards included)
+ * Links come from Telegram's url/text_link entities, which also catch links
+ * hidden behind other text, plus anything that looks like a URL.
+ */
+function getContent(messageData) {
+    const parts = [messageData, ...(messageData.items || [])];
+    const texts = parts.flatMap(part => [part.text || part.caption, ...getPayloadTexts(part.payload)]).filter(Boolean);
+
+    const links = parts.flatMap(part => {
+        const text = part.text || part.caption || '';
+        return (part.entities || []).flatMap(entity => {
+            if (entity.type === 'text_link') return [entity.url];
+            if (entity.type === 'url') return [text.slice(entity.offset, entity.offset + entity.length)];
+            return [];
+        });
+    });
+    for (const text of texts) {
+        links.push(...(text.match(URL_REGEX) || []));
+    }
+
+    return { texts, links: [...new Set(links)] };
+}
+
+/**
+ * Short key for one sender's text, ignoring case and spacing
+ */
+function getFingerprint(userId, text) {
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return createHash('sha256').update(`${userId}:${normalized}`).digest('hex');
+}
+
+/**
+ * Count a message towards duplicate detection
+ * Counted in Redis when it is configured, so a sender spread over several
+ * instances is still caught.
+ * @returns {Promise<number>} How many different partners got this text within the window
+ */
+async function countDuplicate(userId, partnerId, text, windowMs) {
+    const key = getFingerprint(userId, text);
+    const now = Date.now();
+
+    if (isRedisAvailable()) {
+        const count = await countDuplicateInRedis(key, String(partnerId), now, windowMs);
+        if (count !== null) return count;
+    }
+
+    const partners = fingerprints.get(key) || new Map();
+
+    for (const [id, sentAt] of partners.entries()) {
+        if (now - sentAt > windowMs) partners.delete(id);
+    }
+    partners.set(String(partnerId), now);
+
+    // Re-insert so the most recently used entries are dropped last
+    fingerprints.delete(key);
+    fingerprints.set(key, partners);
+    if (fingerprints.size > MAX_FINGERPRINTS) {
+        fingerprints.delete(fingerprints.keys().next().value);
+    }
+
+    return partners.size;
+}
+
+/**
+ * Check a message against the spam rules, except duplicates (see checkDuplicate)
+ * @param {object} messageData - As passed to matchmaking.handleMessage
+ * @returns {{ rule: string, action: string, banMinutes: number }|null} The first rule broken, if any
+ */
+export function checkSpam(messageData, rules = RULES) {
+    const { texts, links } = getContent(messageData);
+    if (texts.length === 0 && links.length === 0) return null;
+
+    const hit = (rule) => ({ rule, action: rules[rule].action, banMinutes: rules[rule].banMinutes });
+
+    if (rules.invites.enabled && [...texts, ...links].some(text => INVITE_REGEX.test(text))) {
+        return hit('invites');
+    }
+
+    const { allow, deny } = rules.urls;
+    const hosts = links.map(getHost).filter(Boolean);
+    if (hosts.some(host => matchesDomain(host, deny) || (allow.length > 0 && !matchesDomain(host, allow)))) {
+        return hit('urls');
+    }
+
+    const lowerTexts = texts.map(text => text.toLowerCase());
+    if (rules.keywords.words.some(word => lowerTexts.some(text => text.includes(word)))) {
+        return hit('keywords');
+    }
+
+    return null;
+}
+
+/**
+ * Count a message that is about to be sent towards duplicate detection
+ * Called last, so messages stopped by another rule or the leak guard don't count.
+ * @param {string} userId - Sender
+ * @param {string} partnerId - Who the message is for
+ * @param {object} messageData - As passed to matchmaking.handleMessage
+ * @returns {Promise<{ rule: string, action: string, banMinutes: number }|null>} The duplicates rule, if broken
+ */
+export async function checkDuplicate(userId, partnerId, messageData, rules = RULES) {
+    const { duplicates } = rules;
+    if (!duplicates.enabled) return null;
+
+    const text = getContent(messageData).texts.join('\n');
+    if (text.length < duplicates.minLength) return null;
+
+    const partners = await countDuplicate(String(userId), partnerId, text, duplicates.windowMinutes * 60 * 1000);
+    if (partners < duplicates.partners) return null;
+
+    return { rule: 'duplicates', action: duplicates.action, banMinutes: duplicates.banMinutes };
+}
+
+/**
+ * Drop duplicate-detection entries that are past every window
+ */
+export function cleanup() {
+    const now = Date.now();
+    const windowMs = RULES.duplicates.windowMinutes * 60 * 1000;
+    for (const [key, partners] of fingerprints.entries()) {
+        if ([...partners.values()].every(sentAt => now - sentAt > windowMs)) {
+            fingerprints.delete(key);
+        }
+    }
+}
+
+// Run cleanup every 10 minutes
+setInterval(cleanup, 10 * 60 * 1000);
+
+export default {
+    SPAM_ACTIONS,
+    loadSpamRules,
+    checkSpam,
+    checkDuplicate,
+    cleanup
+};
@@ -1,46 +1,52 @@
 /**
  * Telegram Bot API utility functions
  * Handles all communication with Telegram servers
+ * Requests go through telegramClient.js (per-chat ordering, rate limits, retries)
  */
 
-const BOT_TOKEN = process.env.BOT_TOKEN;
-const TELEGRAM_API_BASE = `https://api.telegram.org/bot${BOT_TOKEN}`;
+import { createHash } from 'crypto';
+import { callApi } from './telegramClient.js';
+
+// Update types the bot handles (webhook and long polling)
+export const ALLOWED_UPDATES = ['message', 'edited_message', 'message_reaction', 'callback_query'];
+
+// Sent back by Telegram in X-Telegram-Bot-Api-Secret-Token with every webhook call.
+// Derived from the bot token unless set (scripts/set-webhook.js does the same).
+export const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET
+    || createHash('sha256').update(process.env.BOT_TOKEN || '').digest('hex');
 
 /**
  * Send a text message to a chat
  * @param {string} chatId - Telegram chat ID
  * @param {string} text - Message text to send
  * @param {object} options - Additional message options
- * @returns {Promise<object>} - Telegram API response
+ * @returns {Promise<object>} - { success, data } or { success: false, error, errorType, errorCode, retryAfter }
  */
 export async function sendMessage(chatId, text, options = {}) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendMessage`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                chat_id: chatId,
-                text: text,
-                parse_mode: options.parseMode || 'HTML',
-                disable_web_page_preview: options.disablePreview ?? true,
-                ...options
-            })
-        });
-
-        const data = await response.json();
-
-        if (!data.ok) {
-            console.error('Telegram API error:', data.description);
-            return { success: false, error: data.description };
-        }
+    return callApi('sendMessage', {
+        chat_id: chatId,
+        text: text,
+        parse_mode: options.parseMode || 'HTML',
+        disable_web_page_preview: options.disablePreview ?? true,
+        ...options
+    }, { chatId });
+}
 
-        return { success: true, data: data.result };
-    } catch (error) {
-        console.error('Failed to send message:', error.message);
-        return { success: false, error: error.message };
-    }
+/**
+ * Send a partner's text exactly as written
+ * No parse_mode, so nothing in the text is read as markup; the sender's own
+ * formatting comes along as entities.
+ * @param {Array<object>} [entities] - Telegram MessageEntity array
+ * @param {object} options - Extra API parameters, e.g. reply_parameters
+ */
+export async function sendRelayedText(chatId, text, entities, options = {}) {
+    return callApi('sendMessage', {
+        chat_id: chatId,
+        text,
+        ...(entities ? { entities } : {}),
+        disable_web_page_preview: true,
+        ...options
+    }, { chatId });
 }
 
 /**
@@ -49,259 +55,206 @@ export async function sendMessage(chatId, text, options = {}) {
  * @param {string} text - Message text to send
  * @param {object} keyboard - Reply keyboard object
  * @param {object} options - Additional message options
- * @returns {Promise<object>} - Telegram API response
+ * @returns {Promise<object>} - Same result as sendMessage
  */
 export async function sendMessageWithKeyboard(chatId, text, keyboard, options = {}) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendMessage`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                chat_id: chatId,
-                text: text,
-                parse_mode: options.parseMode || 'HTML',
-                disable_web_page_preview: options.disablePreview ?? true,
-                reply_markup: keyboard,
-                ...options
-            })
-        });
-
-        const data = await response.json();
-
-        if (!data.ok) {
-            console.error('Telegram API error:', data.description);
-            return { success: false, error: data.description };
-        }
+    return sendMessage(chatId, text, { reply_markup: keyboard, ...options });
+}
 
-        return { success: true, data: data.result };
-    } catch (error) {
-        console.error('Failed to send message with keyboard:', error.message);
-        return { success: false, error: error.message };
-    }
+/**
+ * Send a file (photo, video, ...) by file ID, with an optional caption
+ * @param {object} options - Extra API parameters, e.g. reply_parameters
+ */
+async function sendFile(method, field, chatId, fileId, caption = '', options = {}) {
+    const params = { chat_id: chatId, [field]: fileId, ...options };
+    if (caption) params.caption = caption;
+    return callApi(method, params, { chatId });
 }
 
 /**
  * Send a photo to a chat
  */
-export async function sendPhoto(chatId, photoFileId, caption = '') {
-    try {
-        const body = { chat_id: chatId, photo: photoFileId };
-        if (caption) body.caption = caption;
-
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendPhoto`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send photo:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendPhoto(chatId, photoFileId, caption = '', options = {}) {
+    return sendFile('sendPhoto', 'photo', chatId, photoFileId, caption, options);
 }
 
 /**
  * Send a video to a chat
  */
-export async function sendVideo(chatId, videoFileId, caption = '') {
-    try {
-        const body = { chat_id: chatId, video: videoFileId };
-        if (caption) body.caption = caption;
-
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendVideo`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send video:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendVideo(chatId, videoFileId, caption = '', options = {}) {
+    return sendFile('sendVideo', 'video', chatId, videoFileId, caption, options);
 }
 
 /**
  * Send a sticker to a chat
  */
-export async function sendSticker(chatId, stickerFileId) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendSticker`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ chat_id: chatId, sticker: stickerFileId })
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send sticker:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendSticker(chatId, stickerFileId, options = {}) {
+    return sendFile('sendSticker', 'sticker', chatId, stickerFileId, '', options);
 }
 
 /**
  * Send a voice message to a chat
  */
-export async function sendVoice(chatId, voiceFileId) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendVoice`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ chat_id: chatId, voice: voiceFileId })
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send voice:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendVoice(chatId, voiceFileId, options = {}) {
+    return sendFile('sendVoice', 'voice', chatId, voiceFileId, '', options);
 }
 
 /**
  * Send an animation (GIF) to a chat
  */
-export async function sendAnimation(chatId, animationFileId, caption = '') {
-    try {
-        const body = { chat_id: chatId, animation: animationFileId };
-        if (caption) body.caption = caption;
-
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendAnimation`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send animation:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendAnimation(chatId, animationFileId, caption = '', options = {}) {
+    return sendFile('sendAnimation', 'animation', chatId, animationFileId, caption, options);
 }
 
 /**
  * Send a video note (round video) to a chat
  */
-export async function sendVideoNote(chatId, videoNoteFileId) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendVideoNote`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ chat_id: chatId, video_note: videoNoteFileId })
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send video note:', error.message);
-        return { success: false, error: error.message };
-    }
+export async function sendVideoNote(chatId, videoNoteFileId, options = {}) {
+    return sendFile('sendVideoNote', 'video_note', chatId, videoNoteFileId, '', options);
 }
 
 /**
  * Send a document/file to a chat
  */
-export async function sendDocument(chatId, documentFileId, caption = '') {
-    try {
-        const body = { chat_id: chatId, document: documentFileId };
-        if (caption) body.caption = caption;
-
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendDocument`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body)
-        });
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to send document:', error.message);
-        return { success: false, error: error.message };
+export async function sendDocument(chatId, documentFileId, caption = '', options = {}) {
+    return sendFile('sendDocument', 'document', chatId, documentFileId, caption, options);
+}
+
+/**
+ * Send an audio file (music) to a chat
+ */
+export async function sendAudio(chatId, audioFileId, caption = '', options = {}) {
+    return sendFile('sendAudio', 'audio', chatId, audioFileId, caption, options);
+}
+
+/**
+ * Send an album (2-10 photos/videos, or documents, or audio files) as one message
+ * @param {Array<object>} items - { mediaType, fileId, caption } in album order
+ * @returns {Promise<object>} On success, data is the array of sent messages
+ */
+export async function sendMediaGroup(chatId, items, options = {}) {
+    const media = items.map(({ mediaType, fileId, caption, entities }) => ({
+        type: mediaType,
+        media: fileId,
+        ...(caption ? { caption } : {}),
+        ...(caption && entities ? { caption_entities: entities } : {})
+    }));
+    return callApi('sendMediaGroup', { chat_id: chatId, media, ...options }, { chatId });
+}
+
+/**
+ * Copy a message to another chat without a "forwarded from" header
+ * Used for dice, so the partner sees the same roll.
+ * @param {string} chatId - Target chat ID
+ * @param {string} fromChatId - Chat the message is in
+ * @param {number} messageId - Message to copy
+ */
+export async function copyMessage(chatId, fromChatId, messageId, options = {}) {
+    return callApi('copyMessage', {
+        chat_id: chatId,
+        from_chat_id: fromChatId,
+        message_id: messageId,
+        ...options
+    }, { chatId });
+}
+
+/**
+ * Send a poll, always anonymous
+ * @param {object} poll - { question, options: string[], type, allowsMultipleAnswers, correctOptionId }
+ */
+export async function sendPoll(chatId, poll, options = {}) {
+    const params = {
+        chat_id: chatId,
+        question: poll.question,
+        options: poll.options.map(text => ({ text })),
+        is_anonymous: true,
+        type: poll.type,
+        allows_multiple_answers: Boolean(poll.allowsMultipleAnswers),
+        ...options
+    };
+    if (poll.type === 'quiz' && poll.correctOptionId !== undefined) {
+        params.correct_option_id = poll.correctOptionId;
     }
+
+    return callApi('sendPoll', params, { chatId });
+}
+
+/**
+ * Send a location pin
+ */
+export async function sendLocation(chatId, latitude, longitude, options = {}) {
+    return callApi('sendLocation', { chat_id: chatId, latitude, longitude, ...options }, { chatId });
+}
+
+/**
+ * Send a venue (a named location)
+ * @param {object} venue - { latitude, longitude, title, address }
+ */
+export async function sendVenue(chatId, venue, options = {}) {
+    const { latitude, longitude, title, address } = venue;
+    return callApi('sendVenue', { chat_id: chatId, latitude, longitude, title, address, ...options }, { chatId });
+}
+
+/**
+ * Send a contact card
+ * @param {object} contact - { phoneNumber, firstName, lastName }
+ */
+export async function sendContact(chatId, contact, options = {}) {
+    const params = { chat_id: chatId, phone_number: contact.phoneNumber, first_name: contact.firstName, ...options };
+    if (contact.lastName) params.last_name = contact.lastName;
+    return callApi('sendContact', params, { chatId });
 }
 
 /**
  * Send typing action (shows "typing..." indicator)
+ * Not queued behind the chat's messages and not retried - it is only a hint.
  * @param {string} chatId - Telegram chat ID
- * @returns {Promise<object>} - Telegram API response
+ * @returns {Promise<object>} - { success }
  */
 export async function sendTypingAction(chatId) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/sendChatAction`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                chat_id: chatId,
-                action: 'typing'
-            })
-        });
-
-        const data = await response.json();
-        return { success: data.ok };
-    } catch (error) {
-        console.error('Failed to send typing action:', error.message);
-        return { success: false, error: error.message };
-    }
+    return callApi('sendChatAction', { chat_id: chatId, action: 'typing' }, { retries: 0 });
 }
 
 /**
  * Set the webhook URL for the bot
  * @param {string} webhookUrl - Full webhook URL (e.g., https://your-app.railway.app/webhook)
- * @returns {Promise<object>} - Telegram API response
+ * @returns {Promise<object>} - { success, error }
  */
 export async function setWebhook(webhookUrl) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/setWebhook`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                url: webhookUrl,
-                allowed_updates: ['message', 'callback_query'], // Receive messages and inline button clicks
-                drop_pending_updates: true // Ignore old messages on restart
-            })
-        });
-
-        const data = await response.json();
-
-        if (!data.ok) {
-            console.error('Failed to set webhook:', data.description);
-            return { success: false, error: data.description };
-        }
-
+    const result = await callApi('setWebhook', {
+        url: webhookUrl,
+        allowed_updates: ALLOWED_UPDATES,
+        secret_token: WEBHOOK_SECRET,
+        drop_pending_updates: true // Ignore old messages on restart
+    });
+
+    if (result.success) {
         console.log('Webhook set successfully:', webhookUrl);
-        return { success: true };
-    } catch (error) {
-        console.error('Failed to set webhook:', error.message);
-        return { success: false, error: error.message };
     }
+    return result;
 }
 
 /**
- * Delete the webhook (useful for switching to polling during dev)
- * @returns {Promise<object>} - Telegram API response
- */
-export async function deleteWebhook() {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/deleteWebhook`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                drop_pending_updates: true
-            })
-        });
-
-        const data = await response.json();
-        return { success: data.ok };
-    } catch (error) {
-        console.error('Failed to delete webhook:', error.message);
-        return { success: false, error: error.message };
-    }
+ * Delete the webhook (needed before long polling)
+ * @param {boolean} dropPending - Also discard updates Telegram is holding
+ * @returns {Promise<object>} - { success }
+ */
+export async function deleteWebhook(dropPending = true) {
+    return callApi('deleteWebhook', { drop_pending_updates: dropPending });
+}
+
+/**
+ * Long-poll for new updates
+ * @param {number} offset - ID of the first update wanted (confirms all before it)
+ * @param {number} timeoutSeconds - How long Telegram may hold the request open
+ * @returns {Promise<object>} - { success, data: Update[] }
+ */
+export async function getUpdates(offset, timeoutSeconds) {
+    return callApi('getUpdates', {
+        offset,
+        timeout: timeoutSeconds,
+        allowed_updates: ALLOWED_UPDATES
+    }, { retries: 0, timeoutMs: (timeoutSeconds + 10) * 1000 });
 }
 
 /**
@@ -309,14 +262,8 @@ export async function deleteWebhook() {
  * @returns {Promise<object>} - Webhook info
  */
 export async function getWebhookInfo() {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/getWebhookInfo`);
-        const data = await response.json();
-        return data.result;
-    } catch (error) {
-        console.error('Failed to get webhook info:', error.message);
-        return null;
-    }
+    const result = await callApi('getWebhookInfo');
+    return result.success ? result.data : null;
 }
 
 /**
@@ -324,14 +271,8 @@ export async function getWebhookInfo() {
  * @returns {Promise<object>} - Bot info
  */
 export async function getMe() {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/getMe`);
-        const data = await response.json();
-        return data.result;
-    } catch (error) {
-        console.error('Failed to get bot info:', error.message);
-        return null;
-    }
+    const result = await callApi('getMe');
+    return result.success ? result.data : null;
 }
 
 /**
@@ -340,24 +281,7 @@ export async function getMe() {
  * @param {string} text - Optional popup text to show
  */
 export async function answerCallbackQuery(callbackQueryId, text = '') {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/answerCallbackQuery`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                callback_query_id: callbackQueryId,
-                text: text
-            })
-        });
-
-        const data = await response.json();
-        return { success: data.ok };
-    } catch (error) {
-        console.error('Failed to answer callback query:', error.message);
-        return { success: false, error: error.message };
-    }
+    return callApi('answerCallbackQuery', { callback_query_id: callbackQueryId, text: text });
 }
 
 /**
@@ -367,25 +291,11 @@ export async function answerCallbackQuery(callbackQueryId, text = '') {
  * @param {object} replyMarkup - New inline keyboard
  */
 export async function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
-    try {
-        const response = await fetch(`${TELEGRAM_API_BASE}/editMessageReplyMarkup`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                chat_id: chatId,
-                message_id: messageId,
-                reply_markup: replyMarkup
-            })
-        });
-
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to edit message reply markup:', error.message);
-        return { success: false, error: error.message };
-    }
+    return callApi('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: replyMarkup
+    }, { chatId });
 }
 
 /**
@@ -396,31 +306,70 @@ export async function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
  * @param {object} replyMarkup - New inline keyboard (optional)
  */
 export async function editMessageText(chatId, messageId, text, replyMarkup = null) {
-    try {
-        const body = {
-            chat_id: chatId,
-            message_id: messageId,
-            text: text,
-            parse_mode: 'HTML'
-        };
-        if (replyMarkup) {
-            body.reply_markup = replyMarkup;
-        }
-
-        const response = await fetch(`${TELEGRAM_API_BASE}/editMessageText`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(body)
-        });
-
-        const data = await response.json();
-        return { success: data.ok, data: data.result };
-    } catch (error) {
-        console.error('Failed to edit message text:', error.message);
-        return { success: false, error: error.message };
+    const params = {
+        chat_id: chatId,
+        message_id: messageId,
+        text: text,
+        parse_mode: 'HTML'
+    };
+    if (replyMarkup) {
+        params.reply_markup = replyMarkup;
     }
+
+    return callApi('editMessageText', params, { chatId });
+}
+
+/**
+ * Edit the text of a relayed message, exactly as written (see sendRelayedText)
+ * @param {Array<object>} [entities] - Telegram MessageEntity array
+ */
+export async function editRelayedText(chatId, messageId, text, entities) {
+    return callApi('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        ...(entities ? { entities } : {}),
+        disable_web_page_preview: true
+    }, { chatId });
+}
+
+/**
+ * Edit the caption of an existing media message
+ * @param {string} chatId - Chat ID
+ * @param {number} messageId - Message ID to edit
+ * @param {string} caption - New caption (empty removes it)
+ * @param {Array<object>} [entities] - Caption formatting
+ */
+export async function editMessageCaption(chatId, messageId, caption, entities) {
+    return callApi('editMessageCaption', {
+        chat_id: chatId,
+        message_id: messageId,
+        caption,
+        ...(caption && entities ? { caption_entities: entities } : {})
+    }, { chatId });
+}
+
+/**
+ * Delete a message
+ * @param {string} chatId - Chat ID
+ * @param {number} messageId - Message ID to delete
+ */
+export async function deleteMessage(chatId, messageId) {
+    return callApi('deleteMessage', { chat_id: chatId, message_id: messageId }, { chatId });
+}
+
+/**
+ * Set the bot's reaction on a message
+ * @param {string} chatId - Chat ID
+ * @param {number} messageId - Message ID to react to
+ * @param {Array<object>} reaction - ReactionType list, e.g. [{ type: 'emoji', emoji: '👍' }]; empty removes it
+ */
+export async function setMessageReaction(chatId, messageId, reaction) {
+    return callApi('setMessageReaction', {
+        chat_id: chatId,
+        message_id: messageId,
+        reaction
+    }, { chatId });
 }
 
 export const messages = {
@@ -455,12 +404,80 @@ Use the buttons below to navigate.`,
 
     partnerLeft: `👋 <b>Your partner has left the chat.</b>
 
+Tap "🚀 Find Partner" to chat with someone new.`,
+
+    unsendUsage: `🗑️ Reply to one of your messages with /unsend to delete it for your partner.`,
+
+    unsendNotInChat: `🗑️ Messages can only be unsent while the chat is still going.`,
+
+    unsendNotYours: `🗑️ You can only unsend your own messages from this chat.`,
+
+    unsendExpired: (minutes) => `🗑️ Too late - messages can only be unsent within ${minutes} minutes.`,
+
+    unsendFailed: `❌ Could not delete that message. Your partner may still see it.`,
+
+    unsent: `🗑️ Message deleted for your partner.`,
+
+    messageTypes: `📎 <b>Message Types</b>
+
+Choose what your partners may send you. Contact cards are off by default because they show a phone number and name.`,
+
+    typeNotAccepted: (label) => `🚫 Your partner doesn't accept ${label}, so it was not sent.`,
+
+    editNotSent: `✏️ Your edit was not sent - that message is not part of your current chat.`,
+
+    // Spam rules
+    spamBlocked: (rule) => {
+        const reasons = {
+            duplicates: 'the same message was already sent to several partners',
+            urls: 'links to that site are not allowed',
+            invites: 'invite links are not allowed',
+            keywords: 'it contains a blocked word'
+        };
+        return `🚫 Your message was not sent - ${reasons[rule] || 'it looks like spam'}.`;
+    },
+
+    // Leak guard
+    leakWarning: (labels) => `⚠️ <b>This may reveal who you are</b>
+
+Your message looks like it contains ${labels.join(', ')}. Your partner is a stranger.
+
+If you both want to share usernames, use /reveal instead. Send it anyway?`,
+
+    leakBlocked: (labels) => `⛔ Your message was not sent - it looks like it contains ${labels.join(', ')}.
+
+To share usernames with your partner, use /reveal.`,
+
+    leakMasked: `🙈 Parts of your message that looked like contact details were hidden. To share usernames, use /reveal.`,
+
+    leakEditBlocked: `⛔ Your edit was not sent - it looks like it contains contact details. To share usernames, use /reveal.`,
+
+    leakSent: `📤 Sent anyway.`,
+
+    leakCancelled: `✖️ Not sent.`,
+
+    leakExpired: `⌛ That message is no longer waiting to be sent.`,
+
+    partnerUnreachable: `👋 <b>Your partner can no longer receive messages, so the chat has ended.</b>
+
 Tap "🚀 Find Partner" to chat with someone new.`,
 
     youLeft: `✅ <b>You have left the chat.</b>
 
 Tap "🚀 Find Partner" when you want to chat again.`,
 
+    relaxOffer: (step) => step === 'language'
+        ? `⏳ <b>Still searching...</b>
+
+Few people are online for your language right now. Want to match with any language?`
+        : `⏳ <b>Still searching...</b>
+
+Few people match your gender preference right now. Want to match with anyone?`,
+
+    filtersRelaxed: (step) => step === 'language'
+        ? `🌐 Search widened to <b>any language</b>. Still looking...`
+        : `🎲 Search widened to <b>anyone</b>. Still looking...`,
+
     skipped: `⏭️ <b>Skipped!</b>
 
 Looking for a new partner...`,
@@ -493,17 +510,28 @@ You're sending messages too fast. Please wait a moment.`,
 
     selectLanguage: `🌐 <b>What language do you want to chat in?</b>`,
 
-    settings: (typingEnabled, gender, age, language) => {
+    settings: (settings) => {
+        const { typingIndicator, showEdits, showReactions, gender, age, ageRange, language, interests = [], leakGuard, autoWiden, blockedCount = 0 } = settings;
+        const leakGuardLabels = { warn: '⚠️ Ask first', mask: '🙈 Hide details', block: '⛔ Block message' };
         const genderLabels = { male: '👨 Male', female: '👩 Female', any: '🎲 Anyone' };
         const languageLabels = { english: '🇬🇧 English', hindi: '🇮🇳 Hindi', tamil: '🇮🇳 Tamil', telugu: '🇮🇳 Telugu', any: '🎲 Any Language' };
         const ageText = age ? `🎂 Age: ${age}` : '🎂 Age: Not set';
+        const ageRangeText = ageRange ? `${ageRange.min}-${ageRange.max}` : 'Any';
         const langText = languageLabels[language] || '🎲 Any Language';
+        const interestsText = interests.length ? interests.map(tag => `#${tag}`).join(' ') : 'Not set';
         return `⚙️ <b>Settings</b>
 
 👤 Your Gender: ${genderLabels[gender] || '🎲 Anyone'}
 🌐 Your Language: ${langText}
 ${ageText}
-🔤 Typing Indicator: ${typingEnabled ? '✅ ON' : '❌ OFF'}
+🎯 Partner Age: ${ageRangeText}
+🏷️ Interests: ${interestsText}
+🔤 Typing Indicator: ${typingIndicator !== false ? '✅ ON' : '❌ OFF'}
+✏️ Show Partner Edits: ${showEdits !== false ? '✅ ON' : '❌ OFF'}
+👍 Show Partner Reactions: ${showReactions !== false ? '✅ ON' : '❌ OFF'}
+🛡️ Leak Guard: ${leakGuardLabels[leakGuard] || leakGuardLabels.warn}
+🔓 Auto-widen Search: ${autoWiden ? '✅ ON' : '❌ OFF'}
+🚫 Blocked Users: ${blockedCount}
 
 <i>Tap buttons below to change settings.</i>`;
     },
@@ -516,6 +544,32 @@ Please type your age (13-99):`,
 
     invalidAge: `❌ Please enter a valid age between 13 and 99.`,
 
+    enterAgeRange: `🎯 <b>Set Partner Age Range</b>
+
+Type the ages you'd like to chat with, e.g. <i>18-30</i>. Send <b>any</b> to remove the limit.
+
+<i>You'll only be matched with people who have set their age, and whose own range includes yours.</i>`,
+
+    ageRangeSet: (ageRange) => ageRange
+        ? `✅ Partner age set to ${ageRange.min}-${ageRange.max}!`
+        : `✅ Partner age limit removed.`,
+
+    invalidAgeRange: `❌ Please enter a range like <i>18-30</i> (ages 13-99), or <b>any</b>.`,
+
+    enterInterests: (max) => `🏷️ <b>Set Your Interests</b>
+
+Type up to ${max} interests separated by commas, e.g. <i>music, gaming, movies</i>
+
+We'll try to match you with people who share them. Send <b>clear</b> to remove all.`,
+
+    interestsSet: (interests) => interests.length
+        ? `✅ Interests set: ${interests.map(tag => `#${tag}`).join(' ')}`
+        : `✅ Interests cleared.`,
+
+    invalidInterests: `❌ Please enter at least one interest using letters or numbers, separated by commas.`,
+
+    sharedInterests: (interests) => `🏷️ You both like: ${interests.map(tag => `#${tag}`).join(' ')}`,
+
     settingsUpdated: (setting, value) => `✅ ${setting} is now ${value ? 'ON' : 'OFF'}`,
 
     stats: (stats) => `📊 <b>Your Anonymous Stats</b>
@@ -530,25 +584,54 @@ Please type your age (13-99):`,
 
 🚀 <b>Find Partner</b> - Match with a random stranger
 👩👨 <b>Search by Gender</b> - Choose who to match with
-⚙️ <b>Settings</b> - Set your gender & typing indicators
+⚙️ <b>Settings</b> - Set your gender, age, partner age range, interests & typing indicators
 📊 <b>My Stats</b> - View your chat statistics
 
 <b>While chatting:</b>
 ⏭️ <b>Next Partner</b> - Skip to someone new
 🛑 <b>Stop Chat</b> - Leave the conversation
 ⚠️ <b>Report</b> - Report inappropriate behavior
+🚫 <b>Block</b> - Leave and never be matched with them again
+🗑️ <b>/unsend</b> - Reply to your message with /unsend to delete it for your partner (within 10 minutes)
 
 <i>Your identity is always private!</i>`,
 
+    reportReasons: `⚠️ <b>Report this user</b>
+
+Why are you reporting them? Reports are recorded and may result in a ban if several are received.
+
+<i>Their last few messages to you can be attached for moderators. They are deleted after 24 hours.</i>`,
+
     reported: `⚠️ <b>Report Submitted</b>
 
 Thank you for helping keep the community safe. You can continue chatting or find a new partner.`,
 
     alreadyReported: `You have already reported this user in this session.`,
 
-    banned: (minutes) => `🚫 <b>Temporarily Restricted</b>
+    blocked: `🚫 <b>User blocked.</b>
+
+You won't be matched with them again. Tap "🚀 Find Partner" to chat with someone new.`,
+
+    blocksCleared: `✅ Block list cleared.`,
+
+    banned: (minutes) => {
+        if (minutes === Infinity) {
+            return `🚫 <b>Restricted</b>
+
+Due to repeated reports from other users, you can no longer search for partners.`;
+        }
+        const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+        const duration = minutes >= 24 * 60
+            ? plural(Math.ceil(minutes / (24 * 60)), 'day')
+            : minutes >= 60 ? plural(Math.ceil(minutes / 60), 'hour') : plural(minutes, 'minute');
+        return `🚫 <b>Temporarily Restricted</b>
+
+Due to reports from other users, you cannot search for partners for ${duration}.
+
+Please be respectful to others.`;
+    },
 
-Due to reports from other users, you cannot search for partners for ${minutes} minutes.
+    kicked: `🛑 <b>Your chat was ended by a moderator.</b>
 
 Please be respectful to others.`,
 
@@ -584,7 +667,10 @@ You can now message each other directly!`,
 };
 
 export default {
+    ALLOWED_UPDATES,
+    WEBHOOK_SECRET,
     sendMessage,
+    sendRelayedText,
     sendMessageWithKeyboard,
     sendPhoto,
     sendVideo,
@@ -593,13 +679,25 @@ export default {
     sendAnimation,
     sendVideoNote,
     sendDocument,
+    sendAudio,
+    sendMediaGroup,
+    copyMessage,
+    sendPoll,
+    sendLocation,
+    sendVenue,
+    sendContact,
     sendTypingAction,
     setWebhook,
     deleteWebhook,
+    getUpdates,
     getWebhookInfo,
     getMe,
     answerCallbackQuery,
     editMessageReplyMarkup,
     editMessageText,
+    editRelayedText,
+    editMessageCaption,
+    deleteMessage,
+    setMessageReaction,
     messages
 };
@@ -0,0 +1,237 @@
+/**
+ * Telegram Bot API client
+ * Every request to Telegram goes through callApi. Requests for the same chat
+ * are sent one after another (so messages keep their order) and all chats
+ * share a global send rate. Throttling (429) waits out retry_after, server and
+ * network errors are retried with exponential backoff, and failures come back
+ * as results with an errorType instead of being thrown.
+ */
+
+const BOT_TOKEN = process.env.BOT_TOKEN;
+const TELEGRAM_API_BASE = `https://api.telegram.org/bot${BOT_TOKEN}`;
+
+// Telegram allows about 30 messages per second overall and about one per
+// second per chat, with short bursts tolerated
+const GLOBAL_RATE = Number(process.env.TELEGRAM_GLOBAL_RATE) || 30;
+const CHAT_RATE = 1;
+const CHAT_BURST = 5;
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;              // 0.5s, 1s, 2s (+ jitter)
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const MAX_CHAT_QUEUE = 50;                // Pending requests per chat before we refuse more
+
+// Error types in failed results
+export const TELEGRAM_ERRORS = {
+    RATE_LIMITED: 'rate_limited',   // 429 that outlasted our retries
+    FORBIDDEN: 'forbidden',         // 403 - e.g. the user blocked the bot
+    BAD_REQUEST: 'bad_request',     // 400 - invalid parameters, message not found...
+    UNAUTHORIZED: 'unauthorized',   // 401 - bad BOT_TOKEN
+    SERVER: 'server',               // 5xx
+    NETWORK: 'network',             // No response (DNS, reset, timeout)
+    QUEUE_FULL: 'queue_full'        // Too many requests already waiting for this chat
+};
+
+// Reasons a chat can never receive messages again (see getDeliveryFailure)
+export const DELIVERY_FAILURES = {
+    BLOCKED: 'blocked',               // The user blocked the bot
+    DEACTIVATED: 'deactivated',       // The user deleted their account
+    CHAT_NOT_FOUND: 'chat_not_found'  // The chat does not exist (any more)
+};
+
+// Per-chat send queues: chatId -> { tail: Promise, pending: number }
+const chatQueues = new Map();
+
+// Rate limit buckets: tokens may go negative, which reserves a later slot
+const globalBucket = { tokens: GLOBAL_RATE, capacity: GLOBAL_RATE, rate: GLOBAL_RATE, updatedAt: Date.now(), pausedUntil: 0 };
+const chatBuckets = new Map(); // chatId -> bucket
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take one token from a bucket
+ * @returns {number} How long to wait (ms) before sending
+ */
+function reserve(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.rate / 1000);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+
+    const wait = bucket.tokens >= 0 ? 0 : -bucket.tokens / bucket.rate * 1000;
+    return Math.max(wait, bucket.pausedUntil - now);
+}
+
+/**
+ * Get (or create) the rate limit bucket of a chat
+ */
+function getChatBucket(chatId) {
+    let bucket = chatBuckets.get(chatId);
+    if (!bucket) {
+        bucket = { tokens: CHAT_BURST, capacity: CHAT_BURST, rate: CHAT_RATE, updatedAt: Date.now(), pausedUntil: 0 };
+        chatBuckets.set(chatId, bucket);
+    }
+    return bucket;
+}
+
+/**
+ * Work out the error type of a failed API response
+ */
+function getErrorType(errorCode) {
+    if (errorCode === 429) return TELEGRAM_ERRORS.RATE_LIMITED;
+    if (errorCode === 403) return TELEGRAM_ERRORS.FORBIDDEN;
+    if (errorCode === 401) return TELEGRAM_ERRORS.UNAUTHORIZED;
+    if (errorCode >= 500) return TELEGRAM_ERRORS.SERVER;
+    return TELEGRAM_ERRORS.BAD_REQUEST;
+}
+
+/**
+ * Check whether a failed send means the chat is permanently unreachable
+ * @param {object} result - Result of callApi
+ * @returns {string|null} One of DELIVERY_FAILURES, or null for other (or no) errors
+ */
+export function getDeliveryFailure(result) {
+    if (!result || result.success) return null;
+    const description = (result.error || '').toLowerCase();
+
+    if (result.errorCode === 403 && description.includes('blocked')) return DELIVERY_FAILURES.BLOCKED;
+    if (result.errorCode === 403 && description.includes('deactivated')) return DELIVERY_FAILURES.DEACTIVATED;
+    if (result.errorCode === 400 && description.includes('chat not found')) return DELIVERY_FAILURES.CHAT_NOT_FOUND;
+    return null;
+}
+
+/**
+ * Make one HTTP request to the Bot API
+ * @returns {Promise<object>} { success, data } or { success: false, error, errorCode, errorType, retryAfter }
+ */
+async function request(method, params, timeoutMs) {
+    try {
+        const response = await fetch(`${TELEGRAM_API_BASE}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        const data = await response.json();
+
+        if (data.ok) {
+            return { success: true, data: data.result };
+        }
+
+        const errorCode = data.error_code || response.status;
+        return {
+            success: false,
+            error: data.description,
+            errorCode,
+            errorType: getErrorType(errorCode),
+            retryAfter: data.parameters?.retry_after
+        };
+    } catch (error) {
+        return { success: false, error: error.message, errorType: TELEGRAM_ERRORS.NETWORK };
+    }
+}
+
+/**
+ * Send a request, waiting for rate limits and retrying what can be retried
+ */
+async function execute(method, params, chatId, { retries, timeoutMs }) {
+    let result;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (chatId) {
+            const bucket = getChatBucket(chatId);
+            await sleep(Math.max(reserve(bucket), reserve(globalBucket)));
+        }
+
+        result = await request(method, params, timeoutMs);
+        if (result.success || attempt === retries) break;
+
+        if (result.errorType === TELEGRAM_ERRORS.RATE_LIMITED) {
+            // Hold back the whole chat (or everything, for chatless requests)
+            const waitMs = (result.retryAfter || 1) * 1000;
+            const bucket = chatId ? getChatBucket(chatId) : globalBucket;
+            bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + waitMs);
+            console.warn(`Telegram ${method} throttled, retrying in ${result.retryAfter || 1}s`);
+            if (!chatId) await sleep(waitMs);
+            continue;
+        }
+
+        if (result.errorType === TELEGRAM_ERRORS.SERVER || result.errorType === TELEGRAM_ERRORS.NETWORK) {
+            await sleep(BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS);
+            continue;
+        }
+
+        break;
+    }
+
+    if (!result.success) {
+        console.error(`Telegram ${method} failed:`, result.error);
+    }
+    return result;
+}
+
+/**
+ * Call a Bot API method
+ * @param {string} method - e.g. 'sendMessage'
+ * @param {object} params - Request body
+ * @param {object} [options] - { chatId } to queue and rate limit the request
+ *   with the chat's other messages, { retries } to override MAX_RETRIES,
+ *   { timeoutMs } for requests that are slow on purpose (long polling)
+ * @returns {Promise<object>} { success: true, data } or
+ *   { success: false, error, errorType, errorCode?, retryAfter? } - never throws
+ */
+export async function callApi(method, params = {}, options = {}) {
+    const settings = {
+        retries: options.retries ?? MAX_RETRIES,
+        timeoutMs: options.timeoutMs ?? REQUEST_TIMEOUT_MS
+    };
+    if (!options.chatId) {
+        return execute(method, params, null, settings);
+    }
+
+    const chatId = String(options.chatId);
+    const queue = chatQueues.get(chatId) || { tail: Promise.resolve(), pending: 0 };
+
+    if (queue.pending >= MAX_CHAT_QUEUE) {
+        console.error(`Telegram ${method} dropped: queue for ${chatId} is full`);
+        return { success: false, error: 'Send queue full', errorType: TELEGRAM_ERRORS.QUEUE_FULL };
+    }
+
+    queue.pending++;
+    const result = queue.tail.then(() => execute(method, params, chatId, settings));
+    queue.tail = result;
+    chatQueues.set(chatId, queue);
+
+    try {
+        return await result;
+    } finally {
+        queue.pending--;
+        if (queue.pending === 0) {
+            chatQueues.delete(chatId);
+        }
+    }
+}
+
+/**
+ * Drop rate limit buckets of chats that have been quiet long enough to be full again
+ */
+export function cleanup() {
+    const now = Date.now();
+    for (const [chatId, bucket] of chatBuckets.entries()) {
+        const refilled = bucket.tokens + (now - bucket.updatedAt) * bucket.rate / 1000 >= bucket.capacity;
+        if (refilled && now > bucket.pausedUntil && !chatQueues.has(chatId)) {
+            chatBuckets.delete(chatId);
+        }
+    }
+}
+
+// Run cleanup every minute
+setInterval(cleanup, 60 * 1000);
+
+export default {
+    TELEGRAM_ERRORS,
+    DELIVERY_FAILURES,
+    getDeliveryFailure,
+    callApi,
+    cleanup
+};
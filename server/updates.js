@@ -0,0 +1,208 @@
+/**
+ * Update dispatcher
+ * Routes a Telegram update to the right command handler. Used by both the
+ * webhook endpoint and the long-polling runner, so the two modes behave alike.
+ */
+
+import { extractUserInfo, isCommand, parseCommand } from './utils.js';
+import {
+    handleStart,
+    handleFind,
+    handleNext,
+    handleStop,
+    handleTextMessage,
+    handleTypingFromUser,
+    handleSettings,
+    handleStats,
+    handleHelp,
+    handleCallbackQuery,
+    handleReveal,
+    handleEditedMessage,
+    handleReaction,
+    handleUnsend
+} from './commands.js';
+import { loadUserSettingsFromRedis, loadUserStatsFromRedis, loadUserBlocksFromRedis, registerUser } from './userState.js';
+import { ADMIN_COMMANDS, isAdmin, handleAdminCommand } from './admin.js';
+import { isRedisAvailable, markUpdateSeenInRedis } from './redis.js';
+import { runForUser } from './userQueue.js';
+
+// Message fields that mark something worth relaying (see validateMessage)
+const RELAYED_FIELDS = [
+    'text', 'photo', 'video', 'sticker', 'voice', 'animation', 'video_note', 'document',
+    'audio', 'dice', 'poll', 'location', 'venue', 'contact'
+];
+
+// Recently handled update_ids - Telegram redelivers updates it thinks timed out
+const SEEN_UPDATES_SIZE = 10000;        // In memory, oldest dropped first
+const SEEN_UPDATE_TTL = 60 * 60;        // In Redis (seconds)
+const seenUpdates = new Set();
+
+/**
+ * Check whether an update was already handled (here or, with Redis, on any instance)
+ * Marks it as handled when it was not.
+ */
+async function isDuplicateUpdate(updateId) {
+    if (updateId === undefined) return false;
+    if (seenUpdates.has(updateId)) return true;
+
+    seenUpdates.add(updateId);
+    if (seenUpdates.size > SEEN_UPDATES_SIZE) {
+        seenUpdates.delete(seenUpdates.values().next().value);
+    }
+
+    if (isRedisAvailable()) {
+        return (await markUpdateSeenInRedis(updateId, SEEN_UPDATE_TTL)) === false;
+    }
+    return false;
+}
+
+/**
+ * Route one update to its handler
+ */
+async function dispatchUpdate(update) {
+    try {
+        // Handle callback_query (inline button clicks) FIRST
+        // This is separate from message handling
+        if (update.callback_query) {
+            console.log('[Update] Received callback_query:', update.callback_query.data);
+            console.log('[Update] From user:', update.callback_query.from?.id);
+            await handleCallbackQuery(update.callback_query);
+            return;
+        }
+
+        // Extract user info from message
+        const userInfo = extractUserInfo(update);
+        if (!userInfo) {
+            console.log('No user info in update');
+            return;
+        }
+
+        const { id: userId, chatId } = userInfo;
+        const message = update.message;
+
+        if (!message && !update.edited_message && !update.message_reaction) {
+            return;
+        }
+
+        // Load user data from Redis on first interaction (await to ensure data is ready)
+        await loadUserSettingsFromRedis(userId);
+        await loadUserStatsFromRedis(userId);
+        await loadUserBlocksFromRedis(userId);
+
+        // Edits of relayed messages are mirrored to the partner's copy
+        if (update.edited_message) {
+            await handleEditedMessage(update.edited_message, userId, chatId);
+            return;
+        }
+
+        // So are reactions
+        if (update.message_reaction) {
+            await handleReaction(update.message_reaction, userId);
+            return;
+        }
+
+        // Remember the chat for broadcasts
+        registerUser(chatId);
+
+        // Check if it's a command
+        if (message.text && isCommand(message.text)) {
+            const { command, args } = parseCommand(message.text);
+
+            switch (command) {
+                case '/start':
+                    await handleStart(chatId, userId);
+                    break;
+                case '/find':
+                    await handleFind(chatId, userId);
+                    break;
+                case '/next':
+                    await handleNext(chatId, userId);
+                    break;
+                case '/stop':
+                    await handleStop(chatId, userId);
+                    break;
+                case '/settings':
+                    await handleSettings(chatId, userId);
+                    break;
+                case '/stats':
+                    await handleStats(chatId, userId);
+                    break;
+                case '/help':
+                    await handleHelp(chatId, userId);
+                    break;
+                case '/reveal':
+                    // Pass username from message.from for reveal feature
+                    await handleReveal(chatId, userId, message.from?.username);
+                    break;
+                case '/unsend':
+                    await handleUnsend(message, userId, chatId);
+                    break;
+                default:
+                    // Admin only - anyone else gets the unknown command behaviour
+                    if (ADMIN_COMMANDS.includes(command) && isAdmin(userId)) {
+                        await handleAdminCommand(chatId, userId, command, args);
+                        break;
+                    }
+                    // Unknown command - treat as text message (might be menu button)
+                    await handleTextMessage(message, userId, chatId);
+                    break;
+            }
+        } else if (RELAYED_FIELDS.some(field => message[field])) {
+            // Text or media message - unified handler
+            // Also trigger typing indicator for partner (only for text)
+            if (message.text) {
+                handleTypingFromUser(userId);
+            }
+            await handleTextMessage(message, userId, chatId);
+        }
+    } catch (error) {
+        console.error('Update handling error:', error);
+    }
+}
+
+/**
+ * Skip duplicates and hand an update to its user's queue
+ * @returns {Promise<{ done: Promise<unknown> }>} done settles once the update was handled
+ */
+async function queueUpdate(update) {
+    if (await isDuplicateUpdate(update.update_id)) {
+        console.log(`Skipping duplicate update ${update.update_id}`);
+        return { done: Promise.resolve() };
+    }
+
+    const userId = (update.callback_query || update.message || update.edited_message)?.from?.id
+        ?? update.message_reaction?.user?.id;
+    if (userId === undefined) {
+        return { done: dispatchUpdate(update) };
+    }
+
+    return { done: runForUser(userId, () => dispatchUpdate(update)) };
+}
+
+/**
+ * Handle one update from Telegram
+ * Updates from the same user run in order (see userQueue.js).
+ * Never throws - errors are logged, since Telegram has already been answered.
+ * @param {object} update - Telegram Update object
+ */
+export async function handleUpdate(update) {
+    const { done } = await queueUpdate(update);
+    await done;
+}
+
+/**
+ * Queue one update without waiting for it to be handled
+ * Resolves once it is in its user's queue, so calling this for each update in
+ * turn keeps every user's updates in order while a slow user only holds up
+ * their own (long polling).
+ * @param {object} update - Telegram Update object
+ * @returns {Promise<{ done: Promise<unknown> }>} done settles once the update was handled
+ */
+export async function enqueueUpdate(update) {
+    return queueUpdate(update);
+}
+
+export default {
+    handleUpdate,
+    enqueueUpdate
+};
@@ -0,0 +1,69 @@
+/**
+ * Per-user task queue
+ * Runs one user's updates one after another, so tapping Next twice or Stop
+ * right after Find can't race on the queue and pairs. Different users still
+ * run in parallel. Queues are bounded, and a task that hangs only holds its
+ * user up until TASK_TIMEOUT_MS.
+ */
+
+const MAX_PENDING = 20;            // Waiting tasks per user before new ones are dropped
+const TASK_TIMEOUT_MS = 30 * 1000; // After this the next task starts anyway
+
+// userId -> { tail: Promise, pending: number }
+const queues = new Map();
+
+/**
+ * Wait for a task, but no longer than TASK_TIMEOUT_MS
+ */
+async function runWithTimeout(userId, task) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+            console.error(`Task for user ${userId} timed out after ${TASK_TIMEOUT_MS / 1000}s`);
+            resolve();
+        }, TASK_TIMEOUT_MS);
+    });
+
+    try {
+        await Promise.race([task(), timeout]);
+    } catch (error) {
+        console.error(`Task for user ${userId} failed:`, error);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Run a task after the user's earlier tasks have finished
+ * @param {string} userId - Telegram user ID
+ * @param {() => Promise<void>} task
+ * @returns {Promise<boolean>} false if the task was dropped because the queue is full
+ */
+export async function runForUser(userId, task) {
+    const key = String(userId);
+    const queue = queues.get(key) || { tail: Promise.resolve(), pending: 0 };
+
+    if (queue.pending >= MAX_PENDING) {
+        console.error(`Dropped update for user ${key}: ${queue.pending} already waiting`);
+        return false;
+    }
+
+    queue.pending++;
+    const done = queue.tail.then(() => runWithTimeout(key, task));
+    queue.tail = done;
+    queues.set(key, queue);
+
+    try {
+        await done;
+    } finally {
+        queue.pending--;
+        if (queue.pending === 0) {
+            queues.delete(key);
+        }
+    }
+    return true;
+}
+
+export default {
+    runForUser
+};
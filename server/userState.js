@@ -8,8 +8,25 @@ import {
     getUserSettingsFromRedis,
     saveUserSettingsToRedis,
     getUserStatsFromRedis,
-    saveUserStatsToRedis
+    saveUserStatsToRedis,
+    getBlockedUsersFromRedis,
+    addBlockedUserToRedis,
+    clearBlockedUsersInRedis,
+    isBlockedInRedis,
+    addSessionReportToRedis,
+    clearSessionReportsInRedis,
+    incrementReportCountInRedis,
+    getReportHistoryFromRedis,
+    saveBanToRedis,
+    getBanFromRedis,
+    deleteBanFromRedis,
+    registerChatInRedis,
+    markChatInactiveInRedis,
+    getRegisteredChatsFromRedis,
+    getRegistryCountsFromRedis,
+    isRedisAvailable
 } from './redis.js';
+import { saveReport } from './moderation.js';
 
 // User states
 export const USER_STATES = {
@@ -20,26 +37,53 @@ export const USER_STATES = {
     SEARCHING: 'searching',
     IN_CHAT: 'in_chat',
     CONFIRMING_REPORT: 'confirming_report',
-    SETTING_AGE: 'setting_age'
+    SETTING_AGE: 'setting_age',
+    SETTING_INTERESTS: 'setting_interests',
+    SETTING_AGE_RANGE: 'setting_age_range'
 };
 
+// Message types each user can choose to receive (value = default).
+// Contacts reveal a phone number and name, so they are off unless turned on.
+export const OPTIONAL_MESSAGE_TYPES = { audio: true, dice: true, poll: true, location: true, contact: false };
+
+// What the leak guard does with a message that looks like it reveals the
+// sender (see leakGuard.js), in the order the settings button cycles through
+export const LEAK_GUARD_MODES = ['warn', 'mask', 'block'];
+
+// Interest tags
+export const MAX_INTERESTS = 5;
+const MAX_INTEREST_LENGTH = 20;
+
 // In-memory storage
 const userStates = new Map();      // userId -> { state, gender, preference, chatStartTime }
 const userSettings = new Map();    // userId -> { typingIndicator: true/false }
 const userStats = new Map();       // userId -> { chats, messages, totalDuration }
-const reportedUsers = new Map();   // oderId -> { count, lastReportTime, banUntil }
+const blockedUsers = new Map();    // userId -> Set of blocked userIds (strings)
+const blocksLoadedAt = new Map();  // userId -> when the block list was last read from Redis
+const reportedUsers = new Map();   // userId -> { count, lastReportTime, level, ban } (no Redis only)
 const reportsInSession = new Set(); // Set of `${reporterId}_${reportedId}` to prevent duplicate reports
 
-// Ban configuration
-const TEMP_BAN_THRESHOLD = 3;      // Reports needed for 30 min ban
-const LONG_BAN_THRESHOLD = 5;      // Reports needed for 24 hour ban
-const TEMP_BAN_DURATION = 30 * 60 * 1000;       // 30 minutes
-const LONG_BAN_DURATION = 24 * 60 * 60 * 1000;  // 24 hours
+// Ban configuration - escalation tiers, mildest first (override with BAN_TIERS)
+const DEFAULT_BAN_TIERS = [
+    { reports: 3, durationMs: 30 * 60 * 1000 },            // 30 minutes
+    { reports: 5, durationMs: 24 * 60 * 60 * 1000 },       // 24 hours
+    { reports: 7, durationMs: 7 * 24 * 60 * 60 * 1000 },   // 7 days
+    { reports: 10, durationMs: null }                      // permanent
+];
+const REPORT_WINDOW = 7 * 24 * 60 * 60 * 1000;      // Reports count for 7 days after the latest one
+const OFFENDER_MEMORY = 180 * 24 * 60 * 60 * 1000;  // Past ban tiers are remembered for 180 days
+const SESSION_REPORT_TTL = 24 * 60 * 60 * 1000;     // Safety net if a chat end is missed
+const BLOCKS_CACHE_TTL = 10 * 60 * 1000;           // How long a block list read from Redis is trusted
 
 // Skipped partner tracking for undo feature
 const skippedPartners = new Map(); // userId -> { partnerId, partnerChatId, timestamp }
 const UNDO_TIMEOUT = 10 * 1000; // 10 seconds
 
+// User registry (every chat that used the bot, for broadcasts)
+const registeredChats = new Map(); // chatId -> { registeredAt, active } (no Redis only)
+const registryWrites = new Map();  // chatId -> last Redis write, to avoid one write per update
+const REGISTRY_REFRESH = 60 * 60 * 1000;
+
 // Reveal request tracking
 const revealRequests = new Map(); // `${userA}_${userB}` (sorted) -> { requesterId, timestamp }
 
@@ -138,6 +182,73 @@ export function toggleTypingIndicator(userId) {
     return newValue;
 }
 
+/**
+ * Toggle whether the partner's edits are mirrored to this user
+ */
+export function toggleShowEdits(userId) {
+    const newValue = getUserSettings(userId).showEdits === false;
+    updateUserSettings(userId, { showEdits: newValue });
+    return newValue;
+}
+
+/**
+ * Toggle whether the partner's reactions are mirrored to this user
+ */
+export function toggleShowReactions(userId) {
+    const newValue = getUserSettings(userId).showReactions === false;
+    updateUserSettings(userId, { showReactions: newValue });
+    return newValue;
+}
+
+/**
+ * Check if a user accepts a message type from partners
+ * Types not in OPTIONAL_MESSAGE_TYPES are always accepted; venues count as locations.
+ */
+export function isMessageTypeAllowed(userId, type) {
+    const settingType = type === 'venue' ? 'location' : type;
+    if (!(settingType in OPTIONAL_MESSAGE_TYPES)) return true;
+    return getUserSettings(userId).messageTypes?.[settingType] ?? OPTIONAL_MESSAGE_TYPES[settingType];
+}
+
+/**
+ * Toggle whether a user accepts a message type from partners
+ */
+export function toggleMessageType(userId, type) {
+    const newValue = !isMessageTypeAllowed(userId, type);
+    const messageTypes = { ...getUserSettings(userId).messageTypes, [type]: newValue };
+    updateUserSettings(userId, { messageTypes });
+    return newValue;
+}
+
+/**
+ * Get what the leak guard does with a user's messages (defaults to 'warn')
+ */
+export function getLeakGuardMode(userId) {
+    const mode = getUserSettings(userId).leakGuard;
+    return LEAK_GUARD_MODES.includes(mode) ? mode : LEAK_GUARD_MODES[0];
+}
+
+/**
+ * Switch a user to the next leak guard mode
+ * @returns {string} The new mode
+ */
+export function cycleLeakGuardMode(userId) {
+    const current = LEAK_GUARD_MODES.indexOf(getLeakGuardMode(userId));
+    const newValue = LEAK_GUARD_MODES[(current + 1) % LEAK_GUARD_MODES.length];
+    updateUserSettings(userId, { leakGuard: newValue });
+    return newValue;
+}
+
+/**
+ * Toggle auto-widening of search filters for long waits
+ */
+export function toggleAutoWiden(userId) {
+    const current = getUserSettings(userId);
+    const newValue = !current.autoWiden;
+    updateUserSettings(userId, { autoWiden: newValue });
+    return newValue;
+}
+
 /**
  * Set user's gender in settings (persistent)
  */
@@ -160,6 +271,28 @@ export function setUserAge(userId, age) {
     updateUserSettings(userId, { age });
 }
 
+/**
+ * Parse a partner age range like "18-30" or "18 to 30"
+ * @returns {{ min: number, max: number }|null} null if the input is invalid
+ */
+export function parseAgeRange(text) {
+    const match = (text || '').trim().match(/^(\d{1,2})\s*(?:-|–|to)\s*(\d{1,2})$/i);
+    if (!match) return null;
+
+    const min = parseInt(match[1], 10);
+    const max = parseInt(match[2], 10);
+    if (min < 13 || max > 99 || min > max) return null;
+
+    return { min, max };
+}
+
+/**
+ * Set user's accepted partner age range (null for any age)
+ */
+export function setUserAgeRange(userId, ageRange) {
+    updateUserSettings(userId, { ageRange });
+}
+
 /**
  * Set user's language preference in settings (persistent)
  */
@@ -175,6 +308,49 @@ export function getUserLanguageSetting(userId) {
     return settings.language || 'any';
 }
 
+/**
+ * Parse user input into normalized interest tags
+ * Lowercases, strips anything but letters/digits/-/_, drops duplicates
+ * @param {string} text - Comma separated tags, e.g. "Music, gaming"
+ * @returns {string[]} At most MAX_INTERESTS tags
+ */
+export function parseInterests(text) {
+    const tags = (text || '')
+        .split(/[,\n#]+/)
+        .map(tag => tag.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '').slice(0, MAX_INTEREST_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MAX_INTERESTS);
+}
+
+/**
+ * Set user's interest tags in settings (persistent)
+ */
+export function setUserInterests(userId, interests) {
+    updateUserSettings(userId, { interests: interests.slice(0, MAX_INTERESTS) });
+}
+
+/**
+ * Get user's interest tags from settings
+ */
+export function getUserInterests(userId) {
+    return getUserSettings(userId).interests || [];
+}
+
+/**
+ * Build the profile fields matchmaking uses to compare users
+ * Merged into the queue entry alongside the search filters
+ */
+export function getMatchProfile(userId) {
+    const settings = getUserSettings(userId);
+    return {
+        interests: getUserInterests(userId),
+        blocked: getBlockedUsers(userId),
+        age: settings.age || null,
+        ageRange: settings.ageRange || null,
+        autoWiden: Boolean(settings.autoWiden)
+    };
+}
+
 // ============ Stats Management ============
 
 /**
@@ -247,8 +423,11 @@ export function markChatStart(userId) {
 
 /**
  * End chat and record duration
+ * @param {string} userId
+ * @param {number} [pairStartedAt] - Pair start time, used when this process
+ *   did not see the chat start (e.g. after a restart)
  */
-export function endChatAndRecordDuration(userId) {
+export function endChatAndRecordDuration(userId, pairStartedAt) {
     const state = userStates.get(userId);
     if (state && state.chatStartTime) {
         const duration = Date.now() - state.chatStartTime;
@@ -256,6 +435,8 @@ export function endChatAndRecordDuration(userId) {
         // Clear chat start time
         const { chatStartTime, ...rest } = state;
         userStates.set(userId, rest);
+    } else if (pairStartedAt) {
+        addChatDuration(userId, Date.now() - pairStartedAt);
     }
 }
 
@@ -277,61 +458,190 @@ export function formatDuration(ms) {
 }
 
 // ============ Report Management ============
+// Reports and bans live in Redis when it is configured (so bans survive
+// deploys and apply on every instance), in reportedUsers otherwise.
+
+/**
+ * Parse a ban duration like "30m", "24h", "7d" or "permanent"
+ * @returns {number|null|undefined} Milliseconds, null for permanent,
+ *   undefined if the input is invalid
+ */
+export function parseBanDuration(text) {
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const value = (text || '').trim().toLowerCase();
+
+    if (value === 'permanent' || value === 'perm') return null;
+
+    const match = value.match(/^(\d+)([mhd])$/);
+    if (!match || parseInt(match[1], 10) === 0) return undefined;
+    return parseInt(match[1], 10) * units[match[2]];
+}
+
+/**
+ * Parse ban tiers like "3:30m,5:24h,7:7d,10:permanent"
+ * Each tier is "<reports>:<duration>" (see parseBanDuration).
+ * @returns {Array<{ reports: number, durationMs: number|null }>} Mildest first,
+ *   durationMs null for a permanent ban
+ */
+export function parseBanTiers(spec) {
+    const tiers = spec.split(',').map(part => {
+        const [reports, duration] = part.trim().split(':');
+        const durationMs = parseBanDuration(duration);
+        if (!/^\d+$/.test(reports || '') || durationMs === undefined) return null;
+        return { reports: parseInt(reports, 10), durationMs };
+    });
+
+    if (tiers.length === 0 || tiers.includes(null)) return null;
+    return tiers.sort((a, b) => a.reports - b.reports);
+}
+
+const BAN_TIERS = (process.env.BAN_TIERS && parseBanTiers(process.env.BAN_TIERS)) || DEFAULT_BAN_TIERS;
+if (process.env.BAN_TIERS && BAN_TIERS === DEFAULT_BAN_TIERS) {
+    console.warn(`Invalid BAN_TIERS "${process.env.BAN_TIERS}" - using defaults`);
+}
+
+/**
+ * Pick the ban a new report triggers, if any
+ * A ban is issued when the report count reaches a tier's threshold. Repeat
+ * offenders always land at least one tier above their previous ban.
+ * @param {number} reports - Reports in the current window, including this one
+ * @param {number} previousLevel - Highest tier served recently, -1 for none
+ * @returns {{ level: number, durationMs: number|null }|null}
+ */
+export function getEscalatedBan(reports, previousLevel, tiers = BAN_TIERS) {
+    const tierIndex = tiers.findIndex(tier => tier.reports === reports);
+    if (tierIndex === -1) return null;
+
+    const level = Math.min(Math.max(tierIndex, previousLevel + 1), tiers.length - 1);
+    return { level, durationMs: tiers[level].durationMs };
+}
+
+/**
+ * Get a user's active ban
+ * @returns {Promise<{ level: number, bannedAt: number, until: number|null }|null>}
+ *   until is null for a permanent ban
+ */
+export async function getActiveBan(userId) {
+    const ban = isRedisAvailable()
+        ? await getBanFromRedis(userId)
+        : reportedUsers.get(userId)?.ban;
+
+    if (!ban) return null;
+    if (ban.until && Date.now() > ban.until) return null;
+    return ban;
+}
 
 /**
  * Check if user is banned
  */
-export function isUserBanned(userId) {
-    const report = reportedUsers.get(userId);
-    if (!report || !report.banUntil) {
-        return false;
+export async function isUserBanned(userId) {
+    return (await getActiveBan(userId)) !== null;
+}
+
+/**
+ * Get ban remaining time in minutes (Infinity for a permanent ban)
+ */
+export async function getBanRemainingTime(userId) {
+    const ban = await getActiveBan(userId);
+    if (!ban) return 0;
+    if (!ban.until) return Infinity;
+    return Math.ceil((ban.until - Date.now()) / 60000);
+}
+
+/**
+ * Ban a user
+ * @param {number|null} durationMs - null for a permanent ban
+ * @param {number|null} [level] - Escalation tier (index into BAN_TIERS) to
+ *   remember for repeat offences, null for bans issued by moderators
+ */
+export async function banUser(userId, durationMs, level = null) {
+    const now = Date.now();
+    const ban = { level, bannedAt: now, until: durationMs === null ? null : now + durationMs };
+
+    if (isRedisAvailable()) {
+        await saveBanToRedis(userId, ban, OFFENDER_MEMORY);
+    } else {
+        const current = reportedUsers.get(userId) || { count: 0, level: -1 };
+        const newLevel = level === null ? current.level : Math.max(current.level, level);
+        reportedUsers.set(userId, { ...current, level: newLevel, ban });
     }
-    if (Date.now() > report.banUntil) {
-        // Ban expired, clear it
-        report.banUntil = null;
-        return false;
+
+    console.log(`User ${userId} banned (${durationMs === null ? 'permanent' : `${Math.round(durationMs / 60000)} min`})`);
+    return ban;
+}
+
+/**
+ * Lift a user's active ban (their report history is kept)
+ * @returns {Promise<boolean>} false if they were not banned
+ */
+export async function unbanUser(userId) {
+    if (!await getActiveBan(userId)) return false;
+
+    if (isRedisAvailable()) {
+        await deleteBanFromRedis(userId);
+    } else {
+        reportedUsers.get(userId).ban = null;
     }
+
+    console.log(`User ${userId} unbanned`);
     return true;
 }
 
 /**
- * Get ban remaining time in minutes
+ * Get a user's report count and ban tier, for moderators
+ * @returns {Promise<{ reports: number, level: number }>}
  */
-export function getBanRemainingTime(userId) {
-    const report = reportedUsers.get(userId);
-    if (!report || !report.banUntil) return 0;
-    const remaining = report.banUntil - Date.now();
-    return Math.ceil(remaining / 60000); // Return minutes
+export async function getReportHistory(userId) {
+    if (isRedisAvailable()) {
+        return getReportHistoryFromRedis(userId);
+    }
+    const current = reportedUsers.get(userId);
+    return { reports: current?.count || 0, level: current?.level ?? -1 };
 }
 
 /**
  * Report a user
- * @returns {{ success: boolean, message: string, alreadyReported?: boolean }}
+ * @param {object} [details] - { reason, evidence } - evidence is the reported
+ *   user's last relayed messages, kept only in the moderation store
+ * @returns {Promise<{ success: boolean, message: string, alreadyReported?: boolean }>}
  */
-export function reportUser(reporterId, reportedId) {
-    const sessionKey = `${reporterId}_${reportedId}`;
-
+export async function reportUser(reporterId, reportedId, { reason = 'other', evidence = [] } = {}) {
     // Check if already reported in this session
-    if (reportsInSession.has(sessionKey)) {
+    const isNewReport = isRedisAvailable()
+        ? await addSessionReportToRedis(reporterId, reportedId, SESSION_REPORT_TTL)
+        : !reportsInSession.has(`${reporterId}_${reportedId}`);
+
+    if (!isNewReport) {
         return { success: false, alreadyReported: true, message: 'You have already reported this user.' };
     }
 
-    // Mark as reported in this session
-    reportsInSession.add(sessionKey);
+    let reports;
+    let previousLevel;
 
-    // Increment report count
-    const current = reportedUsers.get(reportedId) || { count: 0 };
-    current.count++;
-    current.lastReportTime = Date.now();
+    if (isRedisAvailable()) {
+        reports = await incrementReportCountInRedis(reportedId, REPORT_WINDOW);
+        previousLevel = (await getReportHistoryFromRedis(reportedId)).level;
+    } else {
+        // Mark as reported in this session
+        reportsInSession.add(`${reporterId}_${reportedId}`);
 
-    // Check for ban thresholds
-    if (current.count >= LONG_BAN_THRESHOLD) {
-        current.banUntil = Date.now() + LONG_BAN_DURATION;
-    } else if (current.count >= TEMP_BAN_THRESHOLD) {
-        current.banUntil = Date.now() + TEMP_BAN_DURATION;
+        const current = reportedUsers.get(reportedId) || { count: 0, level: -1 };
+        current.count++;
+        current.lastReportTime = Date.now();
+        reportedUsers.set(reportedId, current);
+
+        reports = current.count;
+        previousLevel = current.level;
     }
 
-    reportedUsers.set(reportedId, current);
+    // Keep the details for moderators
+    await saveReport({ reportedId, reporterId, reason }, evidence);
+
+    // Check for ban thresholds
+    const ban = reports ? getEscalatedBan(reports, previousLevel) : null;
+    if (ban) {
+        await banUser(reportedId, ban.durationMs, ban.level);
+    }
 
     return { success: true, message: 'Report submitted. Thank you for keeping the community safe.' };
 }
@@ -342,6 +652,160 @@ export function reportUser(reporterId, reportedId) {
 export function clearSessionReports(userId1, userId2) {
     reportsInSession.delete(`${userId1}_${userId2}`);
     reportsInSession.delete(`${userId2}_${userId1}`);
+
+    clearSessionReportsInRedis(userId1, userId2).catch(err => {
+        console.error('Failed to clear session reports in Redis:', err);
+    });
+}
+
+// ============ Block List ============
+
+/**
+ * Block a user - they will never be matched with this user again
+ */
+export function blockUser(userId, blockedId) {
+    const blocked = blockedUsers.get(userId) || new Set();
+    blocked.add(String(blockedId));
+    blockedUsers.set(userId, blocked);
+    blocksLoadedAt.set(userId, Date.now());
+
+    // Persist to Redis in background (fire and forget)
+    addBlockedUserToRedis(userId, blockedId).catch(err => {
+        console.error('Failed to save block to Redis:', err);
+    });
+}
+
+/**
+ * Get the IDs a user has blocked (never shown to the user)
+ * @returns {string[]}
+ */
+export function getBlockedUsers(userId) {
+    return [...(blockedUsers.get(userId) || [])];
+}
+
+/**
+ * Get how many users someone has blocked
+ */
+export function getBlockedCount(userId) {
+    return blockedUsers.get(userId)?.size || 0;
+}
+
+/**
+ * Clear a user's whole block list
+ */
+export function clearBlockedUsers(userId) {
+    blockedUsers.delete(userId);
+    blocksLoadedAt.set(userId, Date.now());
+
+    clearBlockedUsersInRedis(userId).catch(err => {
+        console.error('Failed to clear blocks in Redis:', err);
+    });
+}
+
+/**
+ * Check if either user has blocked the other
+ * Falls back to Redis for users whose list isn't loaded on this instance
+ */
+export async function isBlockedEitherWay(userId1, userId2) {
+    if (blockedUsers.get(userId1)?.has(String(userId2))) return true;
+    if (blockedUsers.get(userId2)?.has(String(userId1))) return true;
+
+    const [blocked1, blocked2] = await Promise.all([
+        isBlockedInRedis(userId1, userId2),
+        isBlockedInRedis(userId2, userId1)
+    ]);
+    return blocked1 || blocked2;
+}
+
+/**
+ * Load user's block list from Redis into memory cache
+ * Read at most once per BLOCKS_CACHE_TTL; blocks made on another instance
+ * show up here after that.
+ */
+export async function loadUserBlocksFromRedis(userId) {
+    const loadedAt = blocksLoadedAt.get(userId);
+    if (loadedAt && Date.now() - loadedAt < BLOCKS_CACHE_TTL) {
+        return getBlockedUsers(userId);
+    }
+
+    try {
+        const blocked = await getBlockedUsersFromRedis(userId);
+        if (blocked) {
+            if (blocked.length) {
+                blockedUsers.set(userId, new Set(blocked));
+            } else {
+                blockedUsers.delete(userId);
+            }
+            blocksLoadedAt.set(userId, Date.now());
+            return blocked;
+        }
+    } catch (error) {
+        console.error('Failed to load block list from Redis:', error);
+    }
+    return null;
+}
+
+// ============ User Registry ============
+
+/**
+ * Remember a chat so broadcasts can reach it (marks it active again)
+ * Cheap to call on every update - Redis is only written once an hour per chat.
+ */
+export function registerUser(chatId) {
+    chatId = String(chatId);
+
+    if (!isRedisAvailable()) {
+        const current = registeredChats.get(chatId);
+        registeredChats.set(chatId, { registeredAt: current?.registeredAt || Date.now(), active: true });
+        return;
+    }
+
+    const lastWrite = registryWrites.get(chatId);
+    if (lastWrite && Date.now() - lastWrite < REGISTRY_REFRESH) return;
+    registryWrites.set(chatId, Date.now());
+
+    registerChatInRedis(chatId).catch(err => {
+        console.error('Failed to register chat in Redis:', err);
+    });
+}
+
+/**
+ * Mark a chat unreachable (the user blocked the bot or was deactivated)
+ */
+export async function markUserInactive(chatId) {
+    chatId = String(chatId);
+    registryWrites.delete(chatId);
+
+    if (isRedisAvailable()) {
+        await markChatInactiveInRedis(chatId);
+    } else if (registeredChats.has(chatId)) {
+        registeredChats.get(chatId).active = false;
+    }
+}
+
+/**
+ * Get a page of registered chats in registration order
+ * @returns {Promise<Array<{ chatId: string, active: boolean }>>}
+ */
+export async function getRegisteredUsers(offset, count) {
+    if (isRedisAvailable()) {
+        return (await getRegisteredChatsFromRedis(offset, count)) || [];
+    }
+    return [...registeredChats.entries()]
+        .slice(offset, offset + count)
+        .map(([chatId, { active }]) => ({ chatId, active }));
+}
+
+/**
+ * Count registered and inactive chats
+ * @returns {Promise<{ total: number, inactive: number }>}
+ */
+export async function getRegistryCounts() {
+    if (isRedisAvailable()) {
+        return (await getRegistryCountsFromRedis()) || { total: 0, inactive: 0 };
+    }
+    const all = [...registeredChats.values()];
+    return { total: all.length, inactive: all.filter(chat => !chat.active).length };
 }
 
 // ============ Skipped Partner (Undo) Management ============
@@ -431,19 +895,38 @@ export function clearRevealRequest(userId1, userId2) {
  */
 export function cleanup() {
     const now = Date.now();
-    const ONE_DAY = 24 * 60 * 60 * 1000;
 
-    // Clean up expired bans
+    // Clean up expired bans and old reports (Redis expires its own keys)
     for (const [userId, report] of reportedUsers.entries()) {
-        if (report.banUntil && now > report.banUntil) {
-            report.banUntil = null;
+        if (report.ban?.until && now > report.ban.until) {
+            report.lastBanTime = report.ban.bannedAt;
+            report.ban = null;
+        }
+        // Reports only count within the report window
+        if (report.lastReportTime && now - report.lastReportTime > REPORT_WINDOW) {
+            report.count = 0;
         }
-        // Remove very old reports (older than 7 days)
-        if (report.lastReportTime && now - report.lastReportTime > 7 * ONE_DAY) {
+        // Forget offenders with no recent reports or bans
+        const lastSeen = Math.max(report.lastReportTime || 0, report.lastBanTime || 0);
+        if (!report.ban && now - lastSeen > OFFENDER_MEMORY) {
             reportedUsers.delete(userId);
         }
     }
 
+    // Block lists are read from Redis again once their cache time is up
+    for (const [userId, loadedAt] of blocksLoadedAt.entries()) {
+        if (now - loadedAt >= BLOCKS_CACHE_TTL) {
+            blocksLoadedAt.delete(userId);
+        }
+    }
+
+    // Forget registry write times that no longer throttle anything
+    for (const [chatId, lastWrite] of registryWrites.entries()) {
+        if (now - lastWrite >= REGISTRY_REFRESH) {
+            registryWrites.delete(chatId);
+        }
+    }
+
     // Clean old session reports
     // (In a real app, you'd clear these when chats end)
 }
@@ -461,6 +944,15 @@ export default {
     getUserSettings,
     updateUserSettings,
     toggleTypingIndicator,
+    toggleShowEdits,
+    toggleShowReactions,
+    OPTIONAL_MESSAGE_TYPES,
+    LEAK_GUARD_MODES,
+    isMessageTypeAllowed,
+    toggleMessageType,
+    getLeakGuardMode,
+    cycleLeakGuardMode,
+    toggleAutoWiden,
     setUserGenderSetting,
     getUserGenderSetting,
     getUserStats,
@@ -472,8 +964,25 @@ export default {
     formatDuration,
     isUserBanned,
     getBanRemainingTime,
+    getActiveBan,
+    banUser,
+    unbanUser,
+    getReportHistory,
+    parseBanDuration,
+    parseBanTiers,
+    getEscalatedBan,
     reportUser,
     clearSessionReports,
+    blockUser,
+    getBlockedUsers,
+    getBlockedCount,
+    clearBlockedUsers,
+    isBlockedEitherWay,
+    loadUserBlocksFromRedis,
+    registerUser,
+    markUserInactive,
+    getRegisteredUsers,
+    getRegistryCounts,
     setSkippedPartner,
     getSkippedPartner,
     clearSkippedPartner,
@@ -482,8 +991,14 @@ export default {
     hasUserRequestedReveal,
     clearRevealRequest,
     setUserAge,
+    parseAgeRange,
+    setUserAgeRange,
     setUserLanguageSetting,
     getUserLanguageSetting,
+    parseInterests,
+    setUserInterests,
+    getUserInterests,
+    getMatchProfile,
     loadUserSettingsFromRedis,
     loadUserStatsFromRedis,
     cleanup
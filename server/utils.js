@@ -53,7 +53,8 @@ export function resetRateLimit(userId) {
 /**
  * Validate incoming message
  * @param {object} message - Telegram message object
- * @returns {{ valid: boolean, error?: string, mediaType?: string, fileId?: string, caption?: string }}
+ * @returns {{ valid: boolean, error?: string, mediaType?: string, fileId?: string, caption?: string, payload?: object }}
+ *   payload holds the details of polls, locations, venues and contacts
  */
 export function validateMessage(message) {
   if (!message) {
@@ -91,6 +92,44 @@ export function validateMessage(message) {
     return { valid: true, mediaType: 'document', fileId: message.document.file_id, caption: message.caption };
   }
 
+  if (message.audio) {
+    return { valid: true, mediaType: 'audio', fileId: message.audio.file_id, caption: message.caption };
+  }
+
+  if (message.dice) {
+    return { valid: true, mediaType: 'dice' };
+  }
+
+  if (message.poll) {
+    const { question, options, type, allows_multiple_answers, correct_option_id } = message.poll;
+    return {
+      valid: true,
+      mediaType: 'poll',
+      payload: {
+        question,
+        options: options.map(option => option.text),
+        type,
+        allowsMultipleAnswers: allows_multiple_answers,
+        correctOptionId: correct_option_id
+      }
+    };
+  }
+
+  // Venues also carry a location, so check them first
+  if (message.venue) {
+    const { location, title, address } = message.venue;
+    return { valid: true, mediaType: 'venue', payload: { latitude: location.latitude, longitude: location.longitude, title, address } };
+  }
+
+  if (message.location) {
+    return { valid: true, mediaType: 'location', payload: { latitude: message.location.latitude, longitude: message.location.longitude } };
+  }
+
+  if (message.contact) {
+    const { phone_number, first_name, last_name } = message.contact;
+    return { valid: true, mediaType: 'contact', payload: { phoneNumber: phone_number, firstName: first_name, lastName: last_name } };
+  }
+
   // Check for text message
   if (message.text) {
     // Check for empty text
@@ -116,6 +155,16 @@ export function validateMessage(message) {
  * @returns {object|null} - User info or null
  */
 export function extractUserInfo(update) {
+  // Reactions carry the reacting user as `user` rather than `from`
+  if (update.message_reaction?.user) {
+    const { user, chat } = update.message_reaction;
+    return {
+      id: user.id.toString(),
+      chatId: chat.id.toString(),
+      firstName: user.first_name || 'Anonymous'
+    };
+  }
+
   const message = update.message || update.edited_message;
 
   if (!message || !message.from) {
@@ -155,6 +204,44 @@ export function parseCommand(text) {
   return { command, args };
 }
 
+/**
+ * Escape text for use in an HTML-formatted Telegram message
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Get the formatting (bold, spoilers, code...) of a message's text or caption
+ * Custom emoji are left out - bots can't send them, the plain emoji stays in the text.
+ * @param {object} message - Telegram message object
+ * @returns {Array<object>|undefined} Telegram MessageEntity array, if there is any formatting
+ */
+export function getMessageEntities(message) {
+  const entities = (message.entities || message.caption_entities || [])
+    .filter(entity => entity.type !== 'custom_emoji');
+  return entities.length > 0 ? entities : undefined;
+}
+
+// Payload fields (see validateMessage) that hold text the sender typed:
+// poll question and options, venue title and address, contact names and number
+export const PAYLOAD_TEXT_FIELDS = ['question', 'options', 'title', 'address', 'firstName', 'lastName', 'phoneNumber'];
+
+/**
+ * Get the text a poll, venue or contact carries
+ * @param {object} [payload] - From validateMessage
+ * @returns {string[]}
+ */
+export function getPayloadTexts(payload) {
+  if (!payload) return [];
+  return PAYLOAD_TEXT_FIELDS.flatMap(field => payload[field] ?? []).filter(Boolean);
+}
+
 /**
  * Clean up old rate limit entries (call periodically)
  */
@@ -178,5 +265,9 @@ export default {
   extractUserInfo,
   isCommand,
   parseCommand,
+  escapeHtml,
+  getMessageEntities,
+  PAYLOAD_TEXT_FIELDS,
+  getPayloadTexts,
   cleanupRateLimits
 };
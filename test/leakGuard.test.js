@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findLeaks, maskLeaks, findMessageLeaks, maskMessage, parseCustomPatterns } from '../server/leakGuard.js';
+
+const types = (text) => findLeaks(text).map(leak => leak.type);
+
+describe('findLeaks', () => {
+    it('finds emails, usernames and Telegram links', () => {
+        assert.deepEqual(types('mail me at jane.doe@example.com'), ['email']);
+        assert.deepEqual(types('add me @janedoe'), ['username']);
+        assert.deepEqual(types('t.me/janedoe'), ['telegram_link']);
+        assert.deepEqual(types('tg://resolve?domain=janedoe'), ['telegram_link']);
+    });
+
+    it('does not take an email for a username', () => {
+        assert.deepEqual(types('jane@example.com'), ['email']);
+    });
+
+    it('finds phone numbers with a + or separators', () => {
+        assert.deepEqual(types('+1 555 123 4567'), ['phone']);
+        assert.deepEqual(types('call 555-123-4567'), ['phone']);
+        assert.deepEqual(types('(555) 123-4567'), ['phone']);
+        assert.deepEqual(types('+4915112345678'), ['phone']);
+    });
+
+    it('finds a bare digit run only when it is introduced as a number', () => {
+        assert.deepEqual(types('call me 9876543210'), ['phone']);
+        assert.deepEqual(types('my number: 9876543210'), ['phone']);
+        assert.deepEqual(types('whatsapp 9876543210'), ['phone']);
+        assert.deepEqual(types('score was 1000000000 points'), []);
+    });
+
+    it('does not take dates and times for phone numbers', () => {
+        assert.deepEqual(types('meet on 2023-10-19 12:30'), []);
+        assert.deepEqual(types('on 19.10.2023 at 12'), []);
+        assert.deepEqual(types('born 1990/01/02 1234'), []);
+    });
+
+    it('ignores digit runs too short or too long for a phone number', () => {
+        assert.deepEqual(types('1-800-555'), []);
+        assert.deepEqual(types('+1 234 567 890 123 456 789'), []);
+    });
+
+    it('finds Instagram links and handles', () => {
+        assert.deepEqual(types('instagram.com/janedoe'), ['instagram']);
+        assert.deepEqual(types('ig: jane.doe'), ['instagram']);
+        assert.deepEqual(types('insta=jane.doe'), ['instagram']);
+        assert.deepEqual(types('insta handle jane.doe'), ['instagram']);
+        assert.deepEqual(types('instagram id - jane.doe'), ['instagram']);
+    });
+
+    it('needs more than a dash after "ig"', () => {
+        assert.deepEqual(types('ig - cool'), []);
+        assert.deepEqual(types('big - deal'), []);
+    });
+
+    it('returns leaks in text order without overlaps', () => {
+        const leaks = findLeaks('@janedoe or jane@example.com');
+        assert.deepEqual(leaks.map(leak => leak.type), ['username', 'email']);
+        assert.ok(leaks[0].end <= leaks[1].start);
+    });
+});
+
+describe('maskLeaks', () => {
+    it('replaces leaks with dots, keeping the length', () => {
+        const text = 'call +1 555 123 4567 now';
+        const masked = maskLeaks(text);
+        assert.equal(masked, 'call ••••••••••••••• now');
+        assert.equal(masked.length, text.length);
+    });
+
+    it('leaves dates and plain numbers alone', () => {
+        assert.equal(maskLeaks('meet on 2023-10-19 12:30'), 'meet on 2023-10-19 12:30');
+        assert.equal(maskLeaks('score was 1000000000 points'), 'score was 1000000000 points');
+    });
+});
+
+describe('findMessageLeaks', () => {
+    it('checks captions of every album item', () => {
+        const album = { mediaType: 'media_group', items: [{ caption: 'hi' }, { caption: 'ig: jane.doe' }] };
+        assert.deepEqual(findMessageLeaks(album), ['instagram']);
+    });
+
+    it('checks links hidden behind other text', () => {
+        const message = { text: 'click here', entities: [{ type: 'text_link', offset: 6, length: 4, url: 'https://t.me/janedoe' }] };
+        assert.deepEqual(findMessageLeaks(message), ['telegram_link']);
+    });
+
+    it('counts any profile mention', () => {
+        const message = { text: 'Jane', entities: [{ type: 'text_mention', offset: 0, length: 4, user: { id: 1 } }] };
+        assert.deepEqual(findMessageLeaks(message), ['mention']);
+    });
+
+    it('checks the text of polls and venues', () => {
+        const poll = { mediaType: 'poll', payload: { question: 'Which?', options: ['a', 'add @janedoe'], type: 'regular' } };
+        const venue = { mediaType: 'venue', payload: { latitude: 1, longitude: 2, title: 'call 555-123-4567', address: 'Main St' } };
+        assert.deepEqual(findMessageLeaks(poll), ['username']);
+        assert.deepEqual(findMessageLeaks(venue), ['phone']);
+    });
+
+    it('counts every contact card as a phone number', () => {
+        const contact = { mediaType: 'contact', payload: { phoneNumber: '15551234567', firstName: 'Jane' } };
+        assert.deepEqual(findMessageLeaks(contact), ['phone']);
+    });
+
+    it('ignores harmless entities and links', () => {
+        const message = {
+            text: 'bold link',
+            entities: [
+                { type: 'bold', offset: 0, length: 4 },
+                { type: 'text_link', offset: 5, length: 4, url: 'https://example.com' }
+            ]
+        };
+        assert.deepEqual(findMessageLeaks(message), []);
+    });
+});
+
+describe('maskMessage', () => {
+    it('masks text and drops leaking entities', () => {
+        const message = {
+            text: 'see here, @janedoe',
+            entities: [
+                { type: 'text_link', offset: 4, length: 4, url: 'https://t.me/janedoe' },
+                { type: 'bold', offset: 0, length: 3 }
+            ]
+        };
+        assert.deepEqual(maskMessage(message), {
+            text: 'see here, ••••••••',
+            entities: [{ type: 'bold', offset: 0, length: 3 }]
+        });
+    });
+
+    it('masks poll and venue text', () => {
+        const poll = { mediaType: 'poll', payload: { question: 'ig: jane.doe?', options: ['yes', '@janedoe'], type: 'regular' } };
+        assert.deepEqual(maskMessage(poll).payload, {
+            question: '••••••••••••?',
+            options: ['yes', '••••••••'],
+            type: 'regular'
+        });
+    });
+
+    it('cannot mask a contact card', () => {
+        assert.equal(maskMessage({ mediaType: 'contact', payload: { phoneNumber: '15551234567', firstName: 'Jane' } }), null);
+    });
+
+    it('masks album captions and leaves the original untouched', () => {
+        const album = { items: [{ caption: 'ig: jane.doe', entities: [{ type: 'text_mention', offset: 0, length: 2 }] }] };
+        const masked = maskMessage(album);
+        assert.deepEqual(masked.items, [{ caption: '••••••••••••', entities: undefined }]);
+        assert.equal(album.items[0].caption, 'ig: jane.doe');
+    });
+});
+
+describe('parseCustomPatterns', () => {
+    it('reads a JSON array of case-insensitive patterns', () => {
+        const [pattern] = parseCustomPatterns('["snap:\\\\s*\\\\w+"]');
+        assert.equal(pattern.type, 'custom');
+        assert.ok(pattern.regex.test('SNAP: jane'));
+    });
+
+    it('rejects anything else', () => {
+        assert.equal(parseCustomPatterns('snap'), null);
+        assert.equal(parseCustomPatterns('{"a": 1}'), null);
+        assert.equal(parseCustomPatterns('["("]'), null);
+    });
+});
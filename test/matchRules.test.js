@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    canMatch,
+    canMatchLanguage,
+    canMatchAge,
+    canMatchBlocks,
+    sharedInterests,
+    rankCandidates,
+    isOnCooldown,
+    selectCandidates,
+    getDueRelaxations,
+    getRelaxedFilters,
+    getMatchConfig,
+    DEFAULT_COOLDOWN_CONFIG,
+    DEFAULT_RELAX_CONFIG
+} from '../server/matchRules.js';
+
+const NOW = 1_000_000_000;
+const MINUTE = 60 * 1000;
+
+const user = (userId, fields = {}) => ({ userId, joinedAt: NOW, ...fields });
+const ids = (entries) => entries.map(entry => entry.userId);
+
+describe('canMatch', () => {
+    it('matches anyone without a gender or preference', () => {
+        assert.ok(canMatch(user('1'), user('2', { gender: 'female', preference: 'male' })));
+        assert.ok(canMatch(user('1', { gender: 'male' }), user('2', { gender: 'female' })));
+    });
+
+    it('honours one-sided and mutual preferences', () => {
+        const man = user('1', { gender: 'male', preference: 'female' });
+        assert.ok(canMatch(man, user('2', { gender: 'female' })));
+        assert.ok(!canMatch(man, user('2', { gender: 'male' })));
+        assert.ok(canMatch(man, user('2', { gender: 'female', preference: 'male' })));
+        assert.ok(!canMatch(man, user('2', { gender: 'female', preference: 'female' })));
+    });
+});
+
+describe('canMatchLanguage', () => {
+    it('needs the same language unless either side takes any', () => {
+        assert.ok(canMatchLanguage(user('1', { language: 'en' }), user('2', { language: 'en' })));
+        assert.ok(canMatchLanguage(user('1', { language: 'en' }), user('2', { language: 'any' })));
+        assert.ok(!canMatchLanguage(user('1', { language: 'en' }), user('2', { language: 'de' })));
+    });
+});
+
+describe('canMatchAge', () => {
+    it('matches users without ages or ranges', () => {
+        assert.ok(canMatchAge(user('1'), user('2')));
+        assert.ok(canMatchAge(user('1', { age: 25 }), user('2')));
+    });
+
+    it('only matches minors with minors', () => {
+        assert.ok(canMatchAge(user('1', { age: 15 }), user('2', { age: 17 })));
+        assert.ok(!canMatchAge(user('1', { age: 17 }), user('2', { age: 18 })));
+        assert.ok(!canMatchAge(user('1', { age: 15 }), user('2')));
+    });
+
+    it('enforces partner age ranges both ways', () => {
+        const picky = user('1', { age: 30, ageRange: { min: 25, max: 35 } });
+        assert.ok(canMatchAge(picky, user('2', { age: 25 })));
+        assert.ok(canMatchAge(picky, user('2', { age: 35 })));
+        assert.ok(!canMatchAge(picky, user('2', { age: 36 })));
+        assert.ok(!canMatchAge(user('2', { age: 24, ageRange: { min: 18, max: 29 } }), picky));
+    });
+
+    it('needs a known age to satisfy a range', () => {
+        assert.ok(!canMatchAge(user('1', { age: 30, ageRange: { min: 18, max: 99 } }), user('2')));
+    });
+});
+
+describe('canMatchBlocks', () => {
+    it('keeps apart users where either side blocked the other', () => {
+        assert.ok(!canMatchBlocks(user('1', { blocked: ['2'] }), user('2')));
+        assert.ok(!canMatchBlocks(user('1'), user('2', { blocked: ['1'] })));
+        assert.ok(canMatchBlocks(user('1', { blocked: ['3'] }), user('2')));
+    });
+});
+
+describe('sharedInterests', () => {
+    it('lists the tags both users picked', () => {
+        const a = user('1', { interests: ['music', 'chess', 'films'] });
+        const b = user('2', { interests: ['films', 'music'] });
+        assert.deepEqual(sharedInterests(a, b), ['music', 'films']);
+        assert.deepEqual(sharedInterests(a, user('3')), []);
+    });
+});
+
+describe('rankCandidates', () => {
+    it('puts candidates with more shared interests first', () => {
+        const me = user('me', { interests: ['music', 'chess'] });
+        const queue = [
+            user('a'),
+            user('b', { interests: ['music', 'chess'] }),
+            user('c', { interests: ['chess'] })
+        ];
+        assert.deepEqual(ids(rankCandidates(queue, me, NOW)), ['b', 'c', 'a']);
+    });
+
+    it('keeps join order for ties', () => {
+        const queue = [user('a'), user('b'), user('c')];
+        assert.deepEqual(ids(rankCandidates(queue, user('me'), NOW)), ['a', 'b', 'c']);
+    });
+
+    it('lets a long wait outrank shared interests', () => {
+        const me = user('me', { interests: ['music'] });
+        const queue = [
+            user('a', { interests: ['music'] }),
+            user('b', { joinedAt: NOW - 2 * MINUTE })
+        ];
+        assert.deepEqual(ids(rankCandidates(queue, me, NOW)), ['b', 'a']);
+    });
+
+    it('skips the user and incompatible candidates', () => {
+        const me = user('me', { language: 'en' });
+        const queue = [me, user('a', { language: 'de' }), user('b', { language: 'en' })];
+        assert.deepEqual(ids(rankCandidates(queue, me, NOW)), ['b']);
+    });
+});
+
+describe('selectCandidates', () => {
+    const config = { cooldownMs: 10 * MINUTE, graceMs: 30 * 1000 };
+
+    it('puts a recent partner on cooldown until it runs out', () => {
+        const recent = { a: NOW - MINUTE };
+        assert.ok(isOnCooldown(user('a'), recent, NOW, config));
+        assert.ok(!isOnCooldown(user('a'), recent, NOW + 9 * MINUTE, config));
+        assert.ok(!isOnCooldown(user('b'), recent, NOW, config));
+    });
+
+    it('skips recent partners while anyone else is waiting', () => {
+        const queue = [user('a'), user('b')];
+        assert.deepEqual(ids(selectCandidates(queue, user('me'), { a: NOW - MINUTE }, NOW, config)), ['b']);
+    });
+
+    it('holds back a recent partner during the grace period', () => {
+        const queue = [user('a', { joinedAt: NOW - 10 * 1000 })];
+        assert.deepEqual(selectCandidates(queue, user('me'), { a: NOW - MINUTE }, NOW, config), []);
+    });
+
+    it('allows a recent partner once either side has waited out the grace period', () => {
+        const recent = { a: NOW - MINUTE };
+        const longWaiter = [user('a', { joinedAt: NOW - 30 * 1000 })];
+        assert.deepEqual(ids(selectCandidates(longWaiter, user('me'), recent, NOW, config)), ['a']);
+        const me = user('me', { joinedAt: NOW - 45 * 1000 });
+        assert.deepEqual(ids(selectCandidates([user('a')], me, recent, NOW, config)), ['a']);
+    });
+});
+
+describe('getDueRelaxations', () => {
+    const config = { languageAfterMs: MINUTE, genderAfterMs: 2 * MINUTE };
+    const waiting = (waitedMs, fields) => user('1', { joinedAt: NOW - waitedMs, ...fields });
+    const narrow = { language: 'en', preference: 'female' };
+
+    it('offers nothing before the first timeout', () => {
+        assert.deepEqual(getDueRelaxations(waiting(MINUTE - 1, narrow), NOW, config), []);
+    });
+
+    it('offers language first, then gender', () => {
+        assert.deepEqual(getDueRelaxations(waiting(MINUTE, narrow), NOW, config), ['language']);
+        assert.deepEqual(getDueRelaxations(waiting(2 * MINUTE, narrow), NOW, config), ['language', 'gender']);
+    });
+
+    it('skips filters that are already wide', () => {
+        const wide = { language: 'any', preference: 'female' };
+        assert.deepEqual(getDueRelaxations(waiting(2 * MINUTE, wide), NOW, config), ['gender']);
+        assert.deepEqual(getDueRelaxations(waiting(2 * MINUTE, {}), NOW, config), []);
+    });
+});
+
+describe('getRelaxedFilters', () => {
+    it('widens the filter for each step', () => {
+        assert.deepEqual(getRelaxedFilters('language'), { language: 'any' });
+        assert.deepEqual(getRelaxedFilters('gender'), { preference: 'any' });
+        assert.equal(getRelaxedFilters('age'), null);
+    });
+});
+
+describe('getMatchConfig', () => {
+    it('uses the defaults when nothing is set', () => {
+        assert.deepEqual(getMatchConfig({}), { cooldown: DEFAULT_COOLDOWN_CONFIG, relax: DEFAULT_RELAX_CONFIG });
+    });
+
+    it('reads seconds from the environment', () => {
+        const config = getMatchConfig({
+            RECENT_PARTNER_HISTORY: '5',
+            RECENT_PARTNER_COOLDOWN_SECONDS: '120',
+            RECENT_PARTNER_GRACE_SECONDS: '10',
+            RELAX_LANGUAGE_AFTER_SECONDS: '30',
+            RELAX_GENDER_AFTER_SECONDS: '90'
+        });
+        assert.deepEqual(config, {
+            cooldown: { historySize: 5, cooldownMs: 120000, graceMs: 10000 },
+            relax: { languageAfterMs: 30000, genderAfterMs: 90000 }
+        });
+    });
+
+    it('falls back to the default for invalid values', () => {
+        const config = getMatchConfig({ RELAX_LANGUAGE_AFTER_SECONDS: 'soon', RECENT_PARTNER_HISTORY: '0' });
+        assert.equal(config.relax.languageAfterMs, DEFAULT_RELAX_CONFIG.languageAfterMs);
+        assert.equal(config.cooldown.historySize, DEFAULT_COOLDOWN_CONFIG.historySize);
+    });
+});
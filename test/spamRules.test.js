@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { loadSpamRules, checkSpam, checkDuplicate, SPAM_ACTIONS } from '../server/spamRules.js';
+
+let dir;
+const writeRules = (name, content) => {
+    const path = join(dir, name);
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    return path;
+};
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'spam-rules-'));
+});
+
+after(() => {
+    rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadSpamRules', () => {
+    it('fills in defaults and normalizes lists', () => {
+        const rules = loadSpamRules(writeRules('partial.json', {
+            urls: { deny: ['WWW.Example.com '] },
+            keywords: { words: ['Crypto'], action: 'warn' }
+        }));
+        assert.deepEqual(rules.urls.deny, ['example.com']);
+        assert.deepEqual(rules.keywords.words, ['crypto']);
+        assert.equal(rules.keywords.action, SPAM_ACTIONS.WARN);
+        assert.equal(rules.invites.enabled, false);
+        assert.equal(rules.duplicates.partners, 3);
+    });
+
+    it('rejects missing, malformed or invalid files', () => {
+        assert.equal(loadSpamRules(join(dir, 'missing.json')), null);
+        assert.equal(loadSpamRules(writeRules('broken.json', '{')), null);
+        assert.equal(loadSpamRules(writeRules('action.json', { urls: { action: 'explode' } })), null);
+        assert.equal(loadSpamRules(writeRules('list.json', { keywords: { words: 'crypto' } })), null);
+    });
+});
+
+describe('checkSpam', () => {
+    let rules;
+    before(() => {
+        rules = loadSpamRules(writeRules('rules.json', {
+            urls: { deny: ['bad.example'], action: 'warn' },
+            invites: { enabled: true, action: 'report' },
+            keywords: { words: ['free crypto'], action: 'temp_ban', banMinutes: 15 }
+        }));
+    });
+
+    it('lets clean messages through', () => {
+        assert.equal(checkSpam({ text: 'hi, see good.example' }, rules), null);
+        assert.equal(checkSpam({ mediaType: 'photo' }, rules), null);
+    });
+
+    it('catches denied domains and their subdomains', () => {
+        assert.deepEqual(checkSpam({ text: 'go to https://www.bad.example/x' }, rules), { rule: 'urls', action: 'warn', banMinutes: 60 });
+        assert.equal(checkSpam({ text: 'shop.bad.example' }, rules), null);
+        assert.equal(checkSpam({ text: 'www.shop.bad.example' }, rules).rule, 'urls');
+    });
+
+    it('catches links hidden behind other text', () => {
+        const message = { text: 'click', entities: [{ type: 'text_link', offset: 0, length: 5, url: 'https://bad.example' }] };
+        assert.equal(checkSpam(message, rules).rule, 'urls');
+    });
+
+    it('only lets allowed domains through when an allow list is set', () => {
+        const allowOnly = { ...rules, urls: { ...rules.urls, allow: ['good.example'], deny: [] } };
+        assert.equal(checkSpam({ text: 'https://good.example/a' }, allowOnly), null);
+        assert.equal(checkSpam({ text: 'https://other.example/a' }, allowOnly).rule, 'urls');
+    });
+
+    it('catches invite links before anything else', () => {
+        assert.deepEqual(checkSpam({ text: 'join t.me/+AbCdEf free crypto' }, rules), { rule: 'invites', action: 'report', banMinutes: 60 });
+        assert.equal(checkSpam({ caption: 'discord.gg/abc' }, rules).rule, 'invites');
+    });
+
+    it('catches keywords in any case', () => {
+        assert.deepEqual(checkSpam({ text: 'FREE Crypto here' }, rules), { rule: 'keywords', action: 'temp_ban', banMinutes: 15 });
+    });
+
+    it('checks album captions and poll text', () => {
+        assert.equal(checkSpam({ items: [{ caption: 'hi' }, { caption: 'free crypto' }] }, rules).rule, 'keywords');
+        const poll = { mediaType: 'poll', payload: { question: 'Want some?', options: ['free crypto', 'no'] } };
+        assert.equal(checkSpam(poll, rules).rule, 'keywords');
+    });
+});
+
+describe('checkDuplicate', () => {
+    const text = { text: 'Hello there, want to chat?' };
+    let rules;
+    before(() => {
+        rules = loadSpamRules(writeRules('duplicates.json', {
+            duplicates: { enabled: true, minLength: 10, partners: 3, action: 'drop' }
+        }));
+    });
+
+    it('flags the same text sent to enough different partners', async () => {
+        assert.equal(await checkDuplicate('dup1', 'a', text, rules), null);
+        assert.equal(await checkDuplicate('dup1', 'b', { text: '  HELLO there,  want to chat? ' }, rules), null);
+        assert.deepEqual(await checkDuplicate('dup1', 'c', text, rules), { rule: 'duplicates', action: 'drop', banMinutes: 60 });
+    });
+
+    it('counts each partner once', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal(await checkDuplicate('dup2', 'a', text, rules), null);
+        }
+    });
+
+    it('counts each sender separately', async () => {
+        assert.equal(await checkDuplicate('dup3', 'a', text, rules), null);
+        assert.equal(await checkDuplicate('dup4', 'b', text, rules), null);
+        assert.equal(await checkDuplicate('dup5', 'c', text, rules), null);
+    });
+
+    it('ignores short texts and disabled rules', async () => {
+        for (const partner of ['a', 'b', 'c']) {
+            assert.equal(await checkDuplicate('dup6', partner, { text: 'hi' }, rules), null);
+            assert.equal(await checkDuplicate('dup7', partner, text, { ...rules, duplicates: { ...rules.duplicates, enabled: false } }), null);
+        }
+    });
+});
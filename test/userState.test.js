@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    parseAgeRange,
+    parseInterests,
+    parseBanDuration,
+    parseBanTiers,
+    getEscalatedBan,
+    MAX_INTERESTS
+} from '../server/userState.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('parseAgeRange', () => {
+    it('reads a range written with a dash or "to"', () => {
+        assert.deepEqual(parseAgeRange('18-30'), { min: 18, max: 30 });
+        assert.deepEqual(parseAgeRange(' 20 – 25 '), { min: 20, max: 25 });
+        assert.deepEqual(parseAgeRange('18 TO 99'), { min: 18, max: 99 });
+        assert.deepEqual(parseAgeRange('21-21'), { min: 21, max: 21 });
+    });
+
+    it('rejects ranges outside 13-99 or backwards', () => {
+        assert.equal(parseAgeRange('12-20'), null);
+        assert.equal(parseAgeRange('18-100'), null);
+        assert.equal(parseAgeRange('30-18'), null);
+    });
+
+    it('rejects anything else', () => {
+        assert.equal(parseAgeRange('18'), null);
+        assert.equal(parseAgeRange('eighteen to thirty'), null);
+        assert.equal(parseAgeRange(''), null);
+        assert.equal(parseAgeRange(undefined), null);
+    });
+});
+
+describe('parseInterests', () => {
+    it('splits on commas, new lines and hashes', () => {
+        assert.deepEqual(parseInterests('music, chess\nfilms #travel'), ['music', 'chess', 'films', 'travel']);
+        assert.deepEqual(parseInterests('#music #chess'), ['music', 'chess']);
+    });
+
+    it('lowercases tags and strips punctuation and spaces', () => {
+        assert.deepEqual(parseInterests('Sci-Fi, Rock & Roll!, dev_ops'), ['sci-fi', 'rockroll', 'dev_ops']);
+    });
+
+    it('keeps letters from any script', () => {
+        assert.deepEqual(parseInterests('Música, кино'), ['música', 'кино']);
+    });
+
+    it('drops empty and duplicate tags', () => {
+        assert.deepEqual(parseInterests('music,, MUSIC , ,!!'), ['music']);
+        assert.deepEqual(parseInterests(''), []);
+        assert.deepEqual(parseInterests(null), []);
+    });
+
+    it('caps the number and length of tags', () => {
+        const tags = parseInterests('a,b,c,d,e,f,g');
+        assert.equal(tags.length, MAX_INTERESTS);
+        assert.equal(parseInterests('x'.repeat(50))[0].length, 20);
+    });
+});
+
+describe('parseBanDuration', () => {
+    it('reads minutes, hours and days', () => {
+        assert.equal(parseBanDuration('30m'), 30 * MINUTE);
+        assert.equal(parseBanDuration(' 24H '), 24 * HOUR);
+        assert.equal(parseBanDuration('7d'), 7 * DAY);
+    });
+
+    it('returns null for a permanent ban', () => {
+        assert.equal(parseBanDuration('permanent'), null);
+        assert.equal(parseBanDuration('perm'), null);
+    });
+
+    it('returns undefined for anything else', () => {
+        assert.equal(parseBanDuration('0h'), undefined);
+        assert.equal(parseBanDuration('2w'), undefined);
+        assert.equal(parseBanDuration('forever'), undefined);
+        assert.equal(parseBanDuration(undefined), undefined);
+    });
+});
+
+describe('parseBanTiers', () => {
+    it('reads tiers and sorts them mildest first', () => {
+        assert.deepEqual(parseBanTiers('5:24h, 3:30m,10:permanent'), [
+            { reports: 3, durationMs: 30 * MINUTE },
+            { reports: 5, durationMs: 24 * HOUR },
+            { reports: 10, durationMs: null }
+        ]);
+    });
+
+    it('rejects the whole spec if any tier is invalid', () => {
+        assert.equal(parseBanTiers('3:30m,five:24h'), null);
+        assert.equal(parseBanTiers('3:30m,5'), null);
+        assert.equal(parseBanTiers('3:30m,5:soon'), null);
+        assert.equal(parseBanTiers(''), null);
+    });
+});
+
+describe('getEscalatedBan', () => {
+    const tiers = parseBanTiers('3:30m,5:24h,7:7d,10:permanent');
+
+    it('bans when the report count reaches a tier', () => {
+        assert.deepEqual(getEscalatedBan(3, -1, tiers), { level: 0, durationMs: 30 * MINUTE });
+        assert.deepEqual(getEscalatedBan(5, -1, tiers), { level: 1, durationMs: 24 * HOUR });
+        assert.deepEqual(getEscalatedBan(10, -1, tiers), { level: 3, durationMs: null });
+    });
+
+    it('does nothing between tiers', () => {
+        assert.equal(getEscalatedBan(1, -1, tiers), null);
+        assert.equal(getEscalatedBan(4, 2, tiers), null);
+    });
+
+    it('puts repeat offenders at least one tier above their last ban', () => {
+        assert.deepEqual(getEscalatedBan(3, 1, tiers), { level: 2, durationMs: 7 * DAY });
+        assert.deepEqual(getEscalatedBan(3, 3, tiers), { level: 3, durationMs: null });
+    });
+});